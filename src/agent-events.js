@@ -0,0 +1,184 @@
+/**
+ * Agent event stream parsing.
+ *
+ * `openclaw agent --json` prints one final result document. Builds whose
+ * `agent --help` lists `--stream-json` can also write one JSON object per
+ * line while the turn runs (tool calls, assistant text, sub-agent spawns,
+ * usage); OpenClawManager only passes the flag to those, since current
+ * releases reject it. Without a stream, resultEvents() recovers what it can
+ * from the result's `meta.toolSummary` once the turn is over.
+ *
+ * Events are normalized into the typed `job_progress` payloads the Conductor
+ * UI understands:
+ *   { type: 'tool_call',   tool, server, args }
+ *   { type: 'tool_result', tool, ok }
+ *   { type: 'text',        text }
+ *   { type: 'subagent',    agent, task }
+ *   { type: 'usage',       input_tokens, output_tokens, cache_read_tokens, cache_write_tokens }
+ *   { type: 'status',      message }
+ *
+ * Streamed usage events are per model call; the final result's usage (when
+ * present) is the turn total and wins over their sum.
+ */
+
+const MAX_ARGS_PREVIEW = 500;
+const MAX_TEXT_CHUNK = 4000;
+
+const TOOL_CALL_TYPES = new Set(['tool_call', 'tool_use', 'tool.start', 'tool_start']);
+const TOOL_RESULT_TYPES = new Set(['tool_result', 'tool.end', 'tool_end']);
+const TEXT_TYPES = new Set(['text', 'text_delta', 'delta', 'assistant', 'assistant_delta']);
+const SUBAGENT_TYPES = new Set(['subagent', 'subagent_spawn', 'subagent.start', 'spawn']);
+const RESULT_TYPES = new Set(['result', 'final', 'done']);
+
+/**
+ * Parse one stdout line into a normalized progress event.
+ * Returns null for blank lines, non-JSON output and the final result object.
+ */
+export function parseAgentEvent(line) {
+  if (!line || line[0] !== '{') return null;
+
+  let raw;
+  try {
+    raw = JSON.parse(line);
+  } catch {
+    return null;
+  }
+  if (!raw || typeof raw !== 'object' || !raw.type) return null;
+
+  const type = String(raw.type).toLowerCase();
+
+  if (TOOL_CALL_TYPES.has(type)) {
+    const tool = raw.name || raw.tool || 'unknown';
+    return {
+      type: 'tool_call',
+      tool,
+      server: raw.server || (/^bolta[._-]/.test(tool) ? 'bolta' : null),
+      args: preview(raw.input ?? raw.args ?? raw.arguments),
+    };
+  }
+
+  if (TOOL_RESULT_TYPES.has(type)) {
+    return {
+      type: 'tool_result',
+      tool: raw.name || raw.tool || 'unknown',
+      ok: !(raw.is_error || raw.error),
+    };
+  }
+
+  if (TEXT_TYPES.has(type)) {
+    const text = raw.text ?? raw.delta ?? raw.content;
+    if (typeof text !== 'string' || !text) return null;
+    return { type: 'text', text: text.slice(0, MAX_TEXT_CHUNK) };
+  }
+
+  if (SUBAGENT_TYPES.has(type)) {
+    return {
+      type: 'subagent',
+      agent: raw.agent || raw.agentId || raw.name || 'subagent',
+      task: preview(raw.task || raw.message),
+    };
+  }
+
+  if (type === 'usage') {
+    return normalizeUsage(raw.usage || raw);
+  }
+
+  if (type === 'status') {
+    return raw.message ? { type: 'status', message: String(raw.message) } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Extract the final reply from an agent's full stdout.
+ * Handles both a single JSON document and a JSON-lines stream.
+ */
+export function parseAgentResult(stdout) {
+  const trimmed = stdout.trim();
+
+  try {
+    const data = JSON.parse(trimmed);
+    return { output: data.reply || data.content || trimmed, raw: data, ...resultMeta(data) };
+  } catch { /* not a single document — try JSON lines */ }
+
+  const lines = trimmed.split('\n');
+  for (let i = lines.length - 1; i >= 0; i--) {
+    let data;
+    try {
+      data = JSON.parse(lines[i]);
+    } catch {
+      continue;
+    }
+    if (!data || typeof data !== 'object') continue;
+    if (RESULT_TYPES.has(String(data.type).toLowerCase()) || data.reply || (!data.type && data.content)) {
+      return { output: data.reply || data.content || data.text || '', raw: data, ...resultMeta(data) };
+    }
+  }
+
+  return { output: trimmed };
+}
+
+/**
+ * Progress events recoverable from a final result when nothing was
+ * streamed: the tools the turn used (meta.toolSummary) and a status line.
+ */
+export function resultEvents(data) {
+  const summary = data?.meta?.toolSummary || data?.toolSummary;
+  if (!summary || !(summary.calls > 0)) return [];
+
+  const events = (summary.tools || []).map(tool => ({
+    type: 'tool_call',
+    tool,
+    server: /^bolta[._-]/.test(tool) ? 'bolta' : null,
+    args: null,
+  }));
+  const failed = summary.failures ? `, ${summary.failures} failed` : '';
+  events.push({ type: 'status', message: `${summary.calls} tool call${summary.calls === 1 ? '' : 's'}${failed}` });
+  return events;
+}
+
+/** Normalize provider-specific usage fields into one shape. */
+export function normalizeUsage(usage = {}) {
+  return {
+    type: 'usage',
+    input_tokens: usage.input_tokens ?? usage.inputTokens ?? usage.prompt_tokens ?? usage.input ?? 0,
+    output_tokens: usage.output_tokens ?? usage.outputTokens ?? usage.completion_tokens ?? usage.output ?? 0,
+    cache_read_tokens: usage.cache_read_input_tokens ?? usage.cacheReadTokens ?? usage.cacheRead ?? 0,
+    cache_write_tokens: usage.cache_creation_input_tokens ?? usage.cacheWriteTokens ?? usage.cacheWrite ?? 0,
+  };
+}
+
+/** Sum two usage objects (either may be null). */
+export function addUsage(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return {
+    type: 'usage',
+    input_tokens: a.input_tokens + b.input_tokens,
+    output_tokens: a.output_tokens + b.output_tokens,
+    cache_read_tokens: a.cache_read_tokens + b.cache_read_tokens,
+    cache_write_tokens: a.cache_write_tokens + b.cache_write_tokens,
+  };
+}
+
+/** Usage and model from a final result object, wherever this openclaw build puts them. */
+function resultMeta(data) {
+  if (!data || typeof data !== 'object') return { usage: null, model: null };
+  const meta = data.meta?.agentMeta || data.meta || {};
+  const usage = data.usage || meta.usage || null;
+  const model = data.model || meta.model || null;
+  const provider = data.provider || meta.provider || null;
+
+  return {
+    usage: usage && typeof usage === 'object' ? normalizeUsage(usage) : null,
+    // Qualify bare model names so they match the price table
+    model: model && provider && !model.includes('/') ? `${provider}/${model}` : model,
+  };
+}
+
+function preview(value) {
+  if (value === undefined || value === null) return null;
+  const str = typeof value === 'string' ? value : JSON.stringify(value);
+  return str.length > MAX_ARGS_PREVIEW ? str.slice(0, MAX_ARGS_PREVIEW) + '…' : str;
+}
@@ -6,15 +6,30 @@
  * - Dedicated workspace directory with SOUL.md, HEARTBEAT.md
  * - Agent auth dir (agents/<id>/agent/)
  * - Cron schedule for autonomous runs
+ * - `role` (used in the job system context) and optional `aliases` —
+ *   alternate slugs accepted from job dispatches (see resolveAgentId)
+ * - Optional crash-recovery policy (`recovery`): what the bridge does with a
+ *   job of this agent left running when the engine died —
+ *   'rerun' (idempotent, run it again locally), 'requeue' (ask Bolta Cloud
+ *   to dispatch it again) or 'fail' (default: report a recoverable failure)
  *
  * Mirrors Bolta-Server agents/presets.py exactly.
+ *
+ * User-defined agents (see custom-agents.js) are registered next to the
+ * presets at runtime with registerCustomAgents(), and per-workspace settings
+ * from the dashboard (see cloud-agents.js) are layered on top with
+ * setAgentOverrides(); everything below resolves against the merged registry.
  */
 
+import { DEFAULT_MODEL } from './models.js';
+
 export const AGENT_PRESETS = {
   'hype-man': {
     name: 'The Hype Man',
     emoji: '🔥',
     tagline: 'Viral Content Specialist',
+    role: 'Viral Content & Engagement Optimization',
+    aliases: ['hypeman'],
     color: '#a855f7', // purple
     schedule: { frequency: '3x_week', days: ['monday', 'wednesday', 'friday'], time: '09:00' },
     soul: `# SOUL.md — The Hype Man 🔥
@@ -77,6 +92,8 @@ OUTPUT: Draft 6-8 posts and submit for review.`,
     name: 'The Deep Diver',
     emoji: '🧠',
     tagline: 'Long-Form Writer',
+    role: 'Long-form Research & Analysis',
+    aliases: ['deepdiver'],
     color: '#3b82f6', // blue
     schedule: { frequency: '1x_week', days: ['monday'], time: '10:00' },
     soul: `# SOUL.md — The Deep Diver 🧠
@@ -129,6 +146,7 @@ OUTPUT: Draft thread or article for review.`,
     name: 'The Hunter',
     emoji: '🎯',
     tagline: 'Acquisition Scout',
+    role: 'Content Discovery & Trending Topics',
     color: '#f97316', // orange
     schedule: { frequency: 'daily', time: '08:00' },
     soul: `# SOUL.md — The Hunter 🎯
@@ -180,8 +198,11 @@ Daily at 8:00 AM
     name: 'The Guardian',
     emoji: '🛡️',
     tagline: 'Community Moderator',
+    role: 'Brand Safety & Compliance',
+    aliases: ['moderator'],
     color: '#22c55e', // green
     schedule: { frequency: '3x_day', times: ['09:00', '14:00', '19:00'] },
+    recovery: 'rerun', // recalls what it already reviewed, safe to repeat
     soul: `# SOUL.md — The Guardian 🛡️
 
 **Name:** The Guardian
@@ -239,8 +260,10 @@ OUTPUT: Summary of actions taken per account + draft replies queued for review.`
     name: 'The Analyst',
     emoji: '📊',
     tagline: 'Performance Analyst',
+    role: 'Performance Analytics & Insights',
     color: '#06b6d4', // cyan
     schedule: { frequency: '1x_week', days: ['monday'], time: '08:00' },
+    recovery: 'rerun', // read-only report
     soul: `# SOUL.md — The Analyst 📊
 
 **Name:** The Analyst
@@ -288,6 +311,7 @@ OUTPUT: Brief report (300-500 words) with headline insight + data + sentiment an
     name: 'The Engager',
     emoji: '💬',
     tagline: 'Reply & Engagement Specialist',
+    role: 'Community & Reply Management',
     color: '#eab308', // yellow
     schedule: { frequency: 'daily', time: '10:00' },
     soul: `# SOUL.md — The Engager 💬
@@ -339,6 +363,8 @@ Daily at 10:00 AM
     name: 'The Reply Specialist',
     emoji: '🎯',
     tagline: 'Growth Through Conversations',
+    role: 'Smart Replies & Conversations',
+    aliases: ['replyspecialist'],
     color: '#ec4899', // pink
     schedule: { frequency: '2x_day', times: ['09:00', '15:00'] },
     soul: `# SOUL.md — The Reply Specialist 🎯
@@ -402,6 +428,7 @@ OUTPUT: 8-12 drafted replies in the review queue, each with thread context.`,
     name: 'The Storyteller',
     emoji: '📖',
     tagline: 'Build in Public',
+    role: 'Narrative & Brand Storytelling',
     color: '#8b5cf6', // violet
     schedule: { frequency: '2x_week', days: ['tuesday', 'thursday'], time: '10:00' },
     soul: `# SOUL.md — The Storyteller 📖
@@ -455,24 +482,93 @@ OUTPUT: 2-3 posts with image suggestions, ready for founder review.`,
   },
 };
 
+/** Custom agents registered at runtime, keyed by slug. */
+let customAgents = {};
+
+/**
+ * Replace the set of user-defined agents. Definitions must already be
+ * validated (see custom-agents.js); slugs never shadow a preset.
+ */
+export function registerCustomAgents(defs = {}) {
+  customAgents = {};
+  for (const [slug, def] of Object.entries(defs)) {
+    if (AGENT_PRESETS[slug]) continue;
+    customAgents[slug] = { ...def, custom: true };
+  }
+}
+
+/** Cloud-synced settings per agent ID, applied on top of the definitions. */
+let agentOverrides = {};
+
+/** Replace the cloud overrides (already normalized by cloud-agents.js). */
+export function setAgentOverrides(overrides = {}) {
+  agentOverrides = overrides;
+}
+
+/** Presets plus registered custom agents with cloud overrides applied, keyed by canonical ID. */
+export function getAllAgents() {
+  const agents = { ...AGENT_PRESETS, ...customAgents };
+  for (const [id, override] of Object.entries(agentOverrides)) {
+    if (agents[id]) agents[id] = applyOverride(agents[id], override);
+  }
+  return agents;
+}
+
 /** Get all agent IDs. */
 export function getAgentIds() {
-  return Object.keys(AGENT_PRESETS);
+  return Object.keys(getAllAgents());
 }
 
-/** Get a preset by slug. */
+/** Get a preset (or custom agent) by slug or alias. */
 export function getPreset(slug) {
-  return AGENT_PRESETS[slug] || null;
+  const id = resolveAgentId(slug);
+  return id ? getAllAgents()[id] : null;
+}
+
+/**
+ * Normalize a slug the way the cloud and humans write it:
+ * "Hype_Man", "hype man", "The Hype Man" → "hype-man".
+ */
+export function normalizeAgentSlug(slug) {
+  return String(slug || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, '-')
+    .replace(/^the-/, '');
+}
+
+/**
+ * Resolve any accepted spelling of an agent (canonical ID, underscore
+ * slug, display name, alias) to its canonical ID. Returns null if unknown —
+ * callers must fail loudly rather than fall back to another persona.
+ */
+export function resolveAgentId(slug) {
+  const normalized = normalizeAgentSlug(slug);
+  if (!normalized) return null;
+  const agents = getAllAgents();
+  if (agents[normalized]) return normalized;
+
+  for (const [id, preset] of Object.entries(agents)) {
+    if ((preset.aliases || []).includes(normalized)) return id;
+    if (normalizeAgentSlug(preset.name) === normalized) return id;
+  }
+  return null;
+}
+
+/** Error text for a job that names an agent this engine doesn't have. */
+export function unknownAgentMessage(slug) {
+  return `Unknown agent "${slug}". Known agents: ${getAgentIds().join(', ')}`;
 }
 
 /**
  * Build OpenClaw cron entries for all agents.
  * Returns array of cron job objects ready for openclaw.json.
+ * `modelFor(slug, agent)` picks each run's model (see models.js).
  */
-export function buildCronJobs(timezone = 'America/New_York') {
+export function buildCronJobs(timezone = 'America/New_York', { modelFor = (slug, agent) => agent.model || DEFAULT_MODEL } = {}) {
   const jobs = [];
 
-  for (const [slug, preset] of Object.entries(AGENT_PRESETS)) {
+  for (const [slug, preset] of Object.entries(getAllAgents())) {
     const sched = preset.schedule;
     if (!sched) continue;
 
@@ -490,12 +586,12 @@ export function buildCronJobs(timezone = 'America/New_York') {
         payload: {
           kind: 'agentTurn',
           message: preset.runInstructions || `Run your scheduled task. Check HEARTBEAT.md for guidance.`,
-          model: 'anthropic/claude-sonnet-4-5',
+          model: modelFor(slug, preset),
           timeoutSeconds: 300,
         },
         sessionTarget: 'isolated',
         agentId: slug,
-        enabled: true,
+        enabled: preset.enabled !== false,
       });
     }
   }
@@ -503,6 +599,54 @@ export function buildCronJobs(timezone = 'America/New_York') {
   return jobs;
 }
 
+/** Merge one agent's cloud override onto its definition, rewriting SOUL/HEARTBEAT text. */
+function applyOverride(def, o) {
+  const agent = { ...def, overridden: true };
+
+  if (o.enabled === false) agent.enabled = false;
+  if (o.schedule !== undefined) agent.schedule = o.schedule;
+  if (o.model) agent.model = o.model;
+  if (o.runInstructions) agent.runInstructions = o.runInstructions;
+
+  if (o.soul) {
+    agent.soul = o.soul;
+  } else if (o.persona) {
+    const sections = { personality: 'Personality', tone: 'Tone', style: 'Style', avoid: 'Avoid', notes: 'Workspace Notes' };
+    for (const [key, heading] of Object.entries(sections)) {
+      if (o.persona[key]) agent.soul = replaceSection(agent.soul, heading, o.persona[key]);
+    }
+    if (o.persona.name) agent.soul = agent.soul.replace(/^\*\*Name:\*\* .*$/m, `**Name:** ${o.persona.name}`);
+  }
+
+  if (o.heartbeat) {
+    agent.heartbeat = o.heartbeat;
+  } else if (o.schedule !== undefined) {
+    agent.heartbeat = replaceSection(agent.heartbeat, 'Schedule', describeSchedule(o.schedule));
+  }
+  if (agent.enabled === false) {
+    agent.heartbeat = `> Paused from the Bolta dashboard — reply HEARTBEAT_OK and take no action.\n\n${agent.heartbeat}`;
+  }
+
+  return agent;
+}
+
+/** Replace the body of a `## Heading` section in a markdown doc, or append it. */
+function replaceSection(markdown, heading, body) {
+  const pattern = new RegExp(`(^## ${heading}\\n)[\\s\\S]*?(?=\\n## |$(?![\\s\\S]))`, 'm');
+  const section = `## ${heading}\n${body.trim()}\n`;
+  if (pattern.test(markdown)) return markdown.replace(pattern, section);
+  return `${markdown.trimEnd()}\n\n${section}`;
+}
+
+/** Human-readable schedule for HEARTBEAT.md. */
+function describeSchedule(sched) {
+  if (!sched) return 'Manual runs only (no schedule)';
+  const cap = (d) => d[0].toUpperCase() + d.slice(1);
+  const days = sched.days ? sched.days.map(cap).join(', ') : 'Every day';
+  const times = sched.times ? sched.times.join(', ') : (sched.time || '09:00');
+  return `${days} at ${times}`;
+}
+
 /**
  * Convert a Bolta schedule object to cron expression(s).
  */
@@ -10,31 +10,100 @@
  *
  * Flow:
  *   Bolta Cloud → [WSS] → Bridge → OpenClaw Agent → Bridge → [WSS] → Bolta Cloud
+ *
+ * Re-emits the connection's `connection_state` (state, previous) and
+ * `reconnected` events — listen on the bridge, since reauthenticate()
+ * replaces the WSClient.
  */
 
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
 import { WSClient } from './ws-client.js';
 import { Database } from './db.js';
-
-const BOLTA_WS_URL = process.env.BOLTA_WS_URL || 'wss://platty.boltathread.com/ws/runner/';
+import { getAgentIds, getPreset, resolveAgentId, unknownAgentMessage } from './agents.js';
+import { getWebSocketOptions } from './network.js';
+import { resolveAgentModel } from './models.js';
+import { computeCost, getPriceTable } from './pricing.js';
+import { BudgetGuard } from './budget.js';
+import { isAlive } from './instance-lock.js';
+
+export const BOLTA_WS_URL = process.env.BOLTA_WS_URL || 'wss://platty.boltathread.com/ws/runner/';
+export const ENGINE_VERSION = '0.1.0';
 const HEARTBEAT_INTERVAL_MS = 30_000;
-
-export class Bridge {
+const DEFAULT_MAX_CONCURRENT_JOBS = 2;
+const PROGRESS_TEXT_FLUSH_MS = 1000;
+const MAX_RECOVERY_ATTEMPTS = 2; // Don't re-run a job that keeps taking the engine down
+const RECOVERY_POLICIES = ['rerun', 'requeue', 'fail'];
+const FINAL_STATUSES = new Set(['complete', 'failed', 'cancelled']);
+const REAUTH_TIMEOUT_MS = 15_000;
+const DEFAULT_USAGE_SYNC_INTERVAL_MS = 60_000;
+
+// How Bolta Cloud says "this token is no longer valid": an `auth_rejected`
+// message, an `error` with one of these codes, or a close with an app code
+const AUTH_ERROR_CODES = new Set(['auth_failed', 'invalid_token', 'token_revoked', 'token_expired', 'unauthorized']);
+const AUTH_CLOSE_CODES = new Set([4001, 4003]);
+
+export class Bridge extends EventEmitter {
   constructor(config, openclawManager, opts = {}) {
+    super();
     this.config = config;
     this.ocManager = openclawManager;
     this.verbose = opts.verbose || false;
+    this.metrics = opts.metrics || null; // Optional Metrics (metrics.js)
+    // A CLI process running jobs beside the engine (`boltaclaw run`): refuses
+    // jobs over budget, but leaves cron pausing and the gateway to the engine
+    this.standalone = opts.standalone || false;
     this.db = new Database(config.dataDir);
+    this.budget = new BudgetGuard(config, this.db);
     this.ws = null;
     this.heartbeatTimer = null;
     this.activeJobs = new Map();
+    this.pendingJobs = [];
+    this.localJobs = new Set(); // Job IDs started locally — never reported to the cloud
+    this.recovered = false;
+    this.shuttingDown = false; // Set by disconnect() — nothing new starts
+    this.gatewayReload = null; // 'pending' | 'running' — holds the queue while set
+    this.authRejected = null; // { reason, token, at } once the cloud refuses our token
+    this.reauthWaiter = null;
+    this.onAuthRejected = opts.onAuthRejected || null; // (info) => void
+    this.gateway = opts.gateway || null; // GatewaySupervisor — queued jobs wait while it isn't up
+    this.gateway?.on('state', (state) => this._onGatewayState(state));
+    this.usageSync = null; // In-flight _importOpenClawTurns() promise
+    this.usageSyncedAt = 0;
+    this.startedAt = Date.now();
+    this.maxConcurrentJobs = this._maxConcurrentJobs(opts.maxConcurrentJobs);
+  }
+
+  /** `opts.maxConcurrentJobs`, else the max_concurrent_jobs config key, else the default. */
+  _maxConcurrentJobs(requested) {
+    if (requested !== undefined && requested !== null) {
+      const n = parsePositiveInt(requested);
+      if (n === null) throw new Error(`maxConcurrentJobs must be a positive integer, got ${JSON.stringify(requested)}`);
+      return n;
+    }
+
+    const configured = this.config.get('max_concurrent_jobs');
+    if (!configured) return DEFAULT_MAX_CONCURRENT_JOBS;
+    const n = parsePositiveInt(configured);
+    if (n === null) {
+      console.error(`  ⚠ Ignoring invalid max_concurrent_jobs config "${configured}" (expected a positive integer) — using ${DEFAULT_MAX_CONCURRENT_JOBS}`);
+      return DEFAULT_MAX_CONCURRENT_JOBS;
+    }
+    return n;
   }
 
   async connect() {
-    const token = this.config.get('runner_key') || this.config.get('install_token');
+    // Throws if another engine already works this data dir / OpenClaw state
+    this.config.acquireInstanceLock([this.ocManager.stateDir]);
+
+    const token = this._authToken();
     if (!token) throw new Error('No authentication token available');
 
     this.ws = new WSClient(BOLTA_WS_URL, {
       verbose: this.verbose,
+      outbox: this.db,
+      maxReconnectDelay: parseInt(this.config.get('ws_max_reconnect_delay_ms') || '0', 10) || undefined,
+      wsOptions: getWebSocketOptions(BOLTA_WS_URL, this.config),
     });
 
     // Register message handlers
@@ -42,18 +111,28 @@ export class Bridge {
     this.ws.on('job_dispatch', (data) => this._onJobDispatch(data));
     this.ws.on('job_cancel', (data) => this._onJobCancel(data));
     this.ws.on('config_sync', (data) => this._onConfigSync(data));
+    this.ws.on('rotate_key', (data) => this._onRotateKey(data));
+    this.ws.on('auth_rejected', (data) => this._onAuthRejected(data.message || data.reason));
     this.ws.on('ping', () => this.ws.send('pong', {}));
     this.ws.on('error', (data) => {
+      if (AUTH_ERROR_CODES.has(data.code)) return this._onAuthRejected(data.message || data.code);
       console.error(`  ❌ Server error: ${data.message || 'Unknown'}`);
     });
+    // Runs before the client schedules a reconnect, so a rejection stops it
+    this.ws.on('disconnected', (code, reason) => {
+      if (AUTH_CLOSE_CODES.has(code)) this._onAuthRejected(reason || `connection closed with code ${code}`);
+    });
 
     // Reconnect handler — use persistent runner_key (install token is burned after first handshake)
     this.ws.on('reconnected', () => {
-      const runnerKey = this.config.get('runner_key');
-      const token = runnerKey || this.config.get('install_token');
-      console.log(`  🔄 Reconnecting with ${runnerKey ? 'runner_key' : 'install_token'}: ${token?.slice(0, 15)}...`);
+      const token = this._authToken();
+      console.log(`  🔄 Reconnecting with ${this._authTokenType()}: ${token?.slice(0, 15)}...`);
       if (token) this.ws.send('auth', { token });
     });
+    // Forwarded while this is the current client — a replaced one still reports its close
+    const ws = this.ws;
+    ws.on('reconnected', () => { if (ws === this.ws) this.emit('reconnected'); });
+    ws.on('connection_state', (state, previous) => { if (ws === this.ws) this.emit('connection_state', state, previous); });
 
     await this.ws.connect();
 
@@ -69,56 +148,266 @@ export class Bridge {
   }
 
   async disconnect() {
+    if (this.heartbeatTimer) clearInterval(this.heartbeatTimer);
+    // Agent turns run in their own process groups — don't leave them orphaned.
+    // This is not a cancel: their rows stay running/queued, and the next start
+    // recovers them as interrupted per the agent's recovery policy.
+    this.shuttingDown = true;
+    for (const job of this.activeJobs.values()) {
+      job.interrupted = true;
+      job.abort.abort('Engine shutting down');
+    }
+    if (this.ws) await this.ws.close();
+  }
+
+  /**
+   * Exchange a new install token for a runner key on a fresh connection,
+   * keeping jobs, history and local config. Used after the cloud revoked the
+   * runner key (or to move the engine to another workspace).
+   * Resolves { ok, workspace_id } or { ok: false, error }.
+   */
+  async reauthenticate(token) {
+    // Try the token on a connection of its own first: a mistyped one must
+    // not take down a session whose runner key still works
+    const check = await performHandshake(this.config, token);
+    if (!check.ok) return check;
+
+    // The handshake stored the new runner key — restart the session with it
+    this.authRejected = null;
     if (this.heartbeatTimer) clearInterval(this.heartbeatTimer);
     if (this.ws) await this.ws.close();
+
+    const result = new Promise((resolve) => {
+      const timer = setTimeout(() => finish({ ok: false, error: 'Timed out waiting for the handshake' }), REAUTH_TIMEOUT_MS);
+      const finish = (outcome) => {
+        clearTimeout(timer);
+        this.reauthWaiter = null;
+        resolve(outcome);
+      };
+      this.reauthWaiter = finish;
+    });
+
+    try {
+      await this.connect();
+    } catch (err) {
+      this.reauthWaiter?.({ ok: false, error: err.message });
+    }
+    return result;
+  }
+
+  /** Token to authenticate with: the runner key, else the install token. */
+  _authToken() {
+    return this.config.get('runner_key') || this.config.get('install_token');
+  }
+
+  _authTokenType() {
+    return this.config.get('runner_key') ? 'runner_key' : 'install_token';
   }
 
   // --- Event Handlers ---
 
   _onHandshake(data) {
     console.log('  📨 Handshake data keys:', Object.keys(data));
-    // Install token → persistent runner key swap
-    if (data.runner_key) {
-      try {
-        this.config.set('runner_key', data.runner_key);
-        this.config.delete('install_token'); // Burn the install token
-        // Verify it was saved
-        const saved = this.config.get('runner_key');
-        console.log(`  🔑 Runner key saved: ${data.runner_key.slice(0, 12)}... (verified: ${saved ? 'yes' : 'NO'})`);
-      } catch (err) {
-        console.error(`  ❌ Failed to save runner_key: ${err.message}`);
-      }
-    } else {
-      console.log('  ⚠ No runner_key in handshake response. Data:', JSON.stringify(data).slice(0, 200));
-    }
-    if (data.workspace_id) {
-      this.config.set('workspace_id', data.workspace_id);
-    }
-    // Store Bolta API key for MCP
-    if (data.api_key) {
-      this.config.set('BOLTA_API_KEY', data.api_key);
-    }
+    saveHandshake(this.config, data);
+    this.authRejected = null;
+
     // Sync any config from cloud
     if (data.config) {
-      this.ocManager.applyCloudConfig(data.config);
+      const { agentsChanged } = this.ocManager.applyCloudConfig(data.config);
+      if (agentsChanged) this._scheduleGatewayReload();
     }
     console.log(`  ✅ Handshake complete — workspace: ${data.workspace_id}`);
+    this.reauthWaiter?.({ ok: true, workspace_id: data.workspace_id });
+
+    // Authenticated — deliver any results that were produced while offline
+    this.ws.markReady();
+
+    // First session since start — settle jobs a previous process left behind
+    if (!this.recovered) {
+      this.recovered = true;
+      this._recoverInterruptedJobs();
+    }
   }
 
-  async _onJobDispatch(data) {
-    const { job_id, run_id, agent_slug, input, context } = data;
+  /**
+   * Server-initiated key rotation: `{ runner_key }`. The new key is stored
+   * before the ack, so the cloud can retire the old one as soon as it sees it.
+   */
+  _onRotateKey(data) {
+    if (!data.runner_key) {
+      this.ws.send('rotate_key_ack', { ok: false, error: 'runner_key missing' });
+      return;
+    }
+    try {
+      this.config.set('runner_key', data.runner_key);
+    } catch (err) {
+      console.error(`  ❌ Failed to save rotated runner_key: ${err.message}`);
+      this.ws.send('rotate_key_ack', { ok: false, error: err.message });
+      return;
+    }
+    this.ws.send('rotate_key_ack', { ok: true });
+    console.log(`  🔑 Runner key rotated by Bolta Cloud: ${data.runner_key.slice(0, 12)}...`);
+  }
+
+  /**
+   * The cloud refused our token (revoked runner key, used install token).
+   * Retrying would only hammer the server with a dead token, so stop
+   * reconnecting and wait for `boltaclaw reauth --token` (or the prompt in
+   * `boltaclaw start`). Local jobs keep running.
+   */
+  _onAuthRejected(reason = 'token rejected') {
+    if (this.authRejected) return;
+    const token = this._authTokenType();
+    this.authRejected = { reason, token, at: new Date().toISOString() };
+    this.config.set('auth_rejected', JSON.stringify(this.authRejected));
+
+    console.error(`  ❌ Bolta Cloud rejected the ${token}: ${reason}`);
+    console.error('     Not reconnecting. Get a new install token from Settings → Self-Hosted, then run:');
+    console.error('       boltaclaw reauth --token <token>');
+
+    this.ws?.close();
+    this.reauthWaiter?.({ ok: false, error: `Token rejected: ${reason}` });
+    this.onAuthRejected?.(this.authRejected);
+  }
+
+  _onJobDispatch(data) {
+    const { job_id, agent_slug, input, context } = data;
+
+    // Dispatches are delivered at least once — a repeat must not run the job
+    // again. Interrupted jobs are the exception: the cloud re-dispatches
+    // those after a job_requeue.
+    const existing = this.db.getJob(job_id);
+    if (this.activeJobs.has(job_id) || this.pendingJobs.some(j => j.job_id === job_id) || FINAL_STATUSES.has(existing?.status)) {
+      console.log(`  ↩️  Duplicate dispatch ignored: ${agent_slug} — ${job_id} (${existing?.status || 'queued'})`);
+      return;
+    }
 
     console.log(`  📥 Job received: ${agent_slug} — ${job_id}`);
 
-    // Store job locally
-    this.db.createJob(job_id, this.config.get('workspace_id'), agent_slug, input);
-    this.activeJobs.set(job_id, { status: 'running', started: Date.now(), agent_slug });
+    // Cloud slugs come in several spellings (hype_man, hype-man) — run the
+    // canonical agent, and refuse outright rather than guess at unknown ones
+    const agentId = resolveAgentId(agent_slug);
+    const disabled = agentId && getPreset(agentId).enabled === false;
+    if (!agentId || disabled) {
+      const error = agentId ? `Agent "${agentId}" is disabled for this workspace` : unknownAgentMessage(agent_slug);
+      this.db.createJob(job_id, this.config.get('workspace_id'), agentId || agent_slug, input, { status: 'failed', context });
+      this.db.updateJob(job_id, 'failed', null, error);
+      this._sendResult('job_failed', { job_id, error, code: agentId ? 'agent_disabled' : 'unknown_agent' });
+      console.error(`  ❌ Job rejected: ${error}`);
+      return;
+    }
 
-    // Report progress: starting
-    this.ws.send('job_progress', {
-      job_id,
-      event: { type: 'status', message: `${agent_slug} is thinking...` },
+    // Store job locally (with context, so it can be re-run after a crash)
+    this.db.createJob(job_id, this.config.get('workspace_id'), agentId, input, { status: 'queued', context });
+    this._enqueue({ ...data, agent_slug: agentId });
+  }
+
+  /**
+   * Run an agent on this machine without a cloud dispatch (control API,
+   * CLI). Goes through the same queue and concurrency limit; results only
+   * land in the local jobs table unless reported with reportLocalJob().
+   *
+   * `onEvent` receives every streamed agent event (unbatched).
+   * Returns `{ jobId, done }`; `done` resolves with the final jobs row.
+   */
+  runLocalJob(agentSlug, message, { context = {}, onEvent = null } = {}) {
+    const agentId = resolveAgentId(agentSlug);
+    if (!agentId) throw new Error(unknownAgentMessage(agentSlug));
+    agentSlug = agentId;
+
+    const job_id = `local_${randomUUID()}`;
+    if (this.verbose) console.log(`  📥 Local job: ${agentSlug} — ${job_id}`);
+
+    this.db.createJob(job_id, this.config.get('workspace_id') || 'local', agentSlug, message, {
+      status: 'queued', context, source: 'local', ownerPid: this.standalone ? process.pid : null,
     });
+    this.localJobs.add(job_id);
+
+    let onDone;
+    const done = new Promise((resolve) => { onDone = resolve; });
+    this._enqueue({ job_id, agent_slug: agentSlug, input: message, context, onEvent, onDone });
+    return { jobId: job_id, done };
+  }
+
+  /**
+   * Send a finished local job to Bolta Cloud as a `job_report`. Goes through
+   * the durable outbox, so it's delivered by whichever engine process is
+   * (or next gets) connected — no second cloud connection needed.
+   */
+  reportLocalJob(job_id) {
+    const row = this.db.getJob(job_id);
+    if (!row) throw new Error(`Job ${job_id} not found`);
+
+    const payload = {
+      job_id,
+      agent_slug: row.agent_slug,
+      status: row.status,
+      input: JSON.parse(row.input),
+      output: row.output ? { text: JSON.parse(row.output), agent_slug: row.agent_slug, source: 'self_hosted_local' } : null,
+      error: row.error,
+      created_at: row.created_at,
+    };
+    this.db.enqueueOutbox(randomUUID(), 'job_report', payload, `job:${job_id}`);
+    this.ws?.flushOutbox();
+  }
+
+  _enqueue(data) {
+    const { job_id, agent_slug } = data;
+    this.pendingJobs.push(data);
+
+    if (this.gateway && !this.gateway.isUp()) {
+      console.log(`  ⏸ Job held: ${agent_slug} — ${job_id} (gateway ${this.gateway.state})`);
+      this._sendProgress(job_id, { type: 'status', message: `${agent_slug} is waiting for the local gateway to recover` });
+    } else if (this.activeJobs.size >= this.maxConcurrentJobs) {
+      console.log(`  ⏳ Job queued: ${agent_slug} — ${job_id} (${this.pendingJobs.length} waiting)`);
+      this._sendProgress(job_id, { type: 'status', message: `${agent_slug} is queued (${this.pendingJobs.length} waiting)` });
+    }
+
+    this._drainQueue();
+  }
+
+  /** Start pending jobs until the concurrency limit is reached. */
+  _drainQueue() {
+    if (this.shuttingDown) return;
+    if (this.gatewayReload === 'pending' && this.activeJobs.size === 0) {
+      this._reloadGateway();
+      return;
+    }
+    if (this.gatewayReload) return;
+    if (this.gateway && !this.gateway.isUp()) return;
+
+    while (this.pendingJobs.length > 0 && this.activeJobs.size < this.maxConcurrentJobs) {
+      const data = this.pendingJobs.shift();
+      this._runJob(data)
+        .catch((err) => console.error(`  ❌ Job runner error: ${err.message}`))
+        .finally(() => this._drainQueue());
+    }
+  }
+
+  async _runJob(data) {
+    const { job_id, agent_slug, input, context } = data;
+
+    // Spend caps and rate limits — checked at start, since queued jobs may
+    // have waited while others spent the budget
+    const overBudget = this.budget.check(agent_slug);
+    if (overBudget) {
+      this._rejectOverBudget(data, overBudget);
+      return;
+    }
+
+    this.db.startJob(job_id);
+    const job = {
+      status: 'running',
+      started: Date.now(),
+      agent_slug,
+      abort: new AbortController(),
+      onEvent: data.onEvent || null,
+    };
+    this.activeJobs.set(job_id, job);
+    let outcome = 'failed';
+
+    // Report progress: starting
+    this._sendProgress(job_id, { type: 'status', message: `${agent_slug} is thinking...` });
 
     try {
       // Build system context from workspace + agent context
@@ -129,37 +418,247 @@ export class Bridge {
         agentSlug: agent_slug,
         systemContext,
         timeout: 180000, // 3 min max per job
+        signal: job.abort.signal,
+        onEvent: (event) => this._onAgentEvent(job_id, job, event),
       });
+      this._flushProgressText(job_id, job);
+      const usage = this._recordUsage(job_id, agent_slug, result);
+
+      // Cancelled mid-run — already recorded and acknowledged, drop any late result
+      if (job.interrupted) return;
+      if (job.cancelled) {
+        console.log(`  🚫 Discarded result of cancelled job: ${agent_slug} — ${job_id}`);
+        return;
+      }
 
       if (result.success) {
         // Report completion
-        this.ws.send('job_complete', {
+        this._sendResult('job_complete', {
           job_id,
           output: { text: result.output, agent_slug, source: 'self_hosted' },
+          usage,
         });
         this.db.updateJob(job_id, 'complete', result.output);
+        outcome = 'complete';
         console.log(`  ✅ Job complete: ${agent_slug} — ${job_id}`);
       } else {
         throw new Error(result.error || 'Agent execution failed');
       }
     } catch (err) {
-      this.ws.send('job_failed', { job_id, error: err.message });
+      if (job.cancelled || job.interrupted) return;
+      this._sendResult('job_failed', { job_id, error: err.message });
       this.db.updateJob(job_id, 'failed', null, err.message);
       console.error(`  ❌ Job failed: ${agent_slug} — ${err.message}`);
     } finally {
+      clearTimeout(job.textTimer);
       this.activeJobs.delete(job_id);
+      this.localJobs.delete(job_id);
+      this.metrics?.observeJob(agent_slug, job.interrupted ? 'interrupted' : job.cancelled ? 'cancelled' : outcome, Date.now() - job.started);
+      this._checkBudgets(agent_slug);
+      data.onDone?.(this.db.getJob(job_id));
+    }
+  }
+
+  _rejectOverBudget(data, hit) {
+    const { job_id, agent_slug } = data;
+    const error = `Budget exceeded: ${hit.message}`;
+
+    this.db.updateJob(job_id, 'failed', null, error);
+    this._sendResult('job_failed', {
+      job_id,
+      error,
+      code: 'budget_exceeded',
+      budget: { scope: hit.scope, limit: hit.limit, used: hit.used, max: hit.max },
+    });
+    this.localJobs.delete(job_id);
+    this.metrics?.observeJob(agent_slug, 'failed', null);
+    console.error(`  💸 Job rejected: ${agent_slug} — ${error}`);
+    this._checkBudgets(agent_slug);
+    data.onDone?.(this.db.getJob(job_id));
+  }
+
+  /**
+   * Report newly crossed budget thresholds, and pause the cron runs of
+   * agents that hit a cap (resumed once the window resets).
+   */
+  _checkBudgets(agentSlug = null) {
+    // Not ours to touch — the engine's next heartbeat check applies it
+    if (this.standalone) return;
+    if (agentSlug) this._reportBudgetAlerts(agentSlug);
+
+    const blocked = this.budget.blockedAgents(getAgentIds());
+    if (this.ocManager.setPausedAgents(blocked)) {
+      const list = blocked.has('*') ? 'all agents' : [...blocked].join(', ') || 'none';
+      console.log(`  ⏸  Scheduled runs paused for budget: ${list}`);
+      this._scheduleGatewayReload();
+    }
+  }
+
+  _reportBudgetAlerts(agentSlug) {
+    for (const alert of this.budget.takeAlerts(agentSlug)) {
+      const icon = alert.level === 'exceeded' ? '🛑' : '⚠️';
+      console.log(`  ${icon} Budget ${alert.level}: ${alert.message}`);
+      this.ws?.sendReliable('budget_alert', alert);
+    }
+  }
+
+  /**
+   * Bring turns OpenClaw ran on its own — cron schedules, heartbeats,
+   * channel messages — into the jobs table (source 'openclaw'), so they count
+   * against budgets like dispatched jobs. Read from `openclaw sessions`;
+   * each session reports its latest run, so runs of one session closer
+   * together than `usage_sync_interval_ms` are counted once. A non-cron
+   * session updated while the engine ran a job for the same agent is taken
+   * to be that job, which is already counted. Resolves the agents that had
+   * new turns.
+   */
+  async _importOpenClawTurns() {
+    const cursor = parseInt(this.config.get('openclaw_usage_synced_at') || '0', 10);
+    const now = Date.now();
+    // First sync reaches back to the start of the month — the widest budget window
+    const monthStart = Date.UTC(new Date(now).getUTCFullYear(), new Date(now).getUTCMonth(), 1);
+    const from = Math.max(cursor, monthStart);
+
+    const sessions = await this.ocManager.listSessions({ activeMinutes: (now - from) / 60_000 + 1 });
+    if (!sessions) return [];
+
+    const workspaceId = this.config.get('workspace_id') || 'local';
+    const prices = getPriceTable(this.config);
+    const agents = new Set();
+
+    for (const session of sessions) {
+      if (!session.agentId || typeof session.updatedAt !== 'number' || session.updatedAt <= cursor) continue;
+      if (!session.inputTokens && !session.outputTokens) continue;
+
+      const at = new Date(session.updatedAt).toISOString().replace('T', ' ').slice(0, 19);
+      if (session.kind !== 'cron' && this.db.engineJobAt(session.agentId, at)) continue;
+
+      const model = session.model && session.modelProvider && !session.model.includes('/')
+        ? `${session.modelProvider}/${session.model}`
+        : session.model || null;
+      const tokens = {
+        input_tokens: session.inputTokens || 0,
+        output_tokens: session.outputTokens || 0,
+        cache_read_tokens: 0,
+        cache_write_tokens: 0,
+      };
+      const recorded = this.db.recordOpenClawTurn(`openclaw:${session.key}:${session.updatedAt}`, workspaceId, session.agentId, at, {
+        kind: session.kind,
+        sessionKey: session.key,
+        usage: { model, ...tokens, cost_usd: computeCost(prices, model, tokens) },
+      });
+      if (recorded) agents.add(session.agentId);
+    }
+
+    this.config.set('openclaw_usage_synced_at', String(now));
+    if (agents.size && this.verbose) console.log(`  📒 Counted OpenClaw-initiated turns for: ${[...agents].join(', ')}`);
+    return [...agents];
+  }
+
+  /** Import OpenClaw's own turns (at most every usage_sync_interval_ms), then re-check budgets. */
+  _syncUsageAndCheckBudgets() {
+    const interval = parseInt(this.config.get('usage_sync_interval_ms') || DEFAULT_USAGE_SYNC_INTERVAL_MS, 10);
+    if (this.usageSync || Date.now() - this.usageSyncedAt < interval) {
+      this._checkBudgets();
+      return;
+    }
+
+    this.usageSyncedAt = Date.now();
+    this.usageSync = this._importOpenClawTurns()
+      .catch((err) => {
+        console.error(`  ⚠ Could not read OpenClaw usage: ${err.message}`);
+        return [];
+      })
+      .then((agents) => {
+        for (const slug of agents) this._reportBudgetAlerts(slug);
+        this._checkBudgets();
+      })
+      .finally(() => { this.usageSync = null; });
+  }
+
+  /**
+   * Price a turn's token usage and add it to the jobs row. Returns the usage
+   * payload for job_complete, or null if openclaw reported no usage.
+   */
+  _recordUsage(job_id, agent_slug, result) {
+    if (!result.usage) return null;
+
+    const model = result.model || resolveAgentModel(this.config, agent_slug, getPreset(agent_slug) || {}).primary;
+    const { type, ...tokens } = result.usage;
+    const usage = { model, ...tokens, cost_usd: computeCost(getPriceTable(this.config), model, result.usage) };
+
+    this.db.recordUsage(job_id, usage);
+    this.metrics?.observeUsage(agent_slug, usage);
+    if (this.verbose) {
+      const cost = usage.cost_usd === null ? 'unpriced' : `$${usage.cost_usd.toFixed(4)}`;
+      console.log(`  💰 ${agent_slug}: ${usage.input_tokens} in / ${usage.output_tokens} out on ${model} (${cost})`);
+    }
+    return usage;
+  }
+
+  /**
+   * Forward a streamed agent event to the dashboard as a typed job_progress.
+   * Assistant text arrives in small deltas, so it's batched per job and
+   * flushed at most once per PROGRESS_TEXT_FLUSH_MS.
+   */
+  _onAgentEvent(job_id, job, event) {
+    if (job.cancelled) return;
+    job.onEvent?.(event);
+
+    if (event.type === 'text') {
+      job.pendingText = (job.pendingText || '') + event.text;
+      if (!job.textTimer) {
+        job.textTimer = setTimeout(() => this._flushProgressText(job_id, job), PROGRESS_TEXT_FLUSH_MS);
+      }
+      return;
     }
+
+    // Keep ordering: text written before a tool call goes out before it
+    this._flushProgressText(job_id, job);
+    this._sendProgress(job_id, event);
+  }
+
+  _flushProgressText(job_id, job) {
+    clearTimeout(job.textTimer);
+    job.textTimer = null;
+    if (!job.pendingText || job.cancelled) return;
+    this._sendProgress(job_id, { type: 'text', text: job.pendingText });
+    job.pendingText = '';
   }
 
   _onJobCancel(data) {
     const { job_id } = data;
+    const reason = data.reason || 'Cancelled from Bolta Cloud';
+
+    // Not started yet — just drop it from the local queue
+    const queuedIdx = this.pendingJobs.findIndex(j => j.job_id === job_id);
+    if (queuedIdx !== -1) {
+      const [queued] = this.pendingJobs.splice(queuedIdx, 1);
+      this.db.cancelJob(job_id, reason);
+      this.metrics?.observeJob(queued.agent_slug, 'cancelled', null);
+      queued.onDone?.(this.db.getJob(job_id));
+      this._sendResult('job_cancelled', { job_id, reason, state: 'queued' });
+      this.localJobs.delete(job_id);
+      console.log(`  🚫 Job cancelled (queued): ${job_id}`);
+      return;
+    }
+
     const job = this.activeJobs.get(job_id);
-    if (job) {
+    if (job && !job.cancelled) {
+      // Kill the agent turn; the entry stays in activeJobs until the process
+      // has actually exited so the concurrency limit stays honest
       job.cancelled = true;
-      this.activeJobs.delete(job_id);
-      this.db.updateJob(job_id, 'cancelled');
-      console.log(`  🚫 Job cancelled: ${job_id}`);
+      job.status = 'cancelling';
+      job.abort.abort(reason);
+      this.db.cancelJob(job_id, reason);
+      this._sendResult('job_cancelled', { job_id, reason, state: 'running' });
+      console.log(`  🚫 Job cancelled: ${job_id} — ${reason}`);
+      return;
     }
+
+    // Unknown or already finished — still acknowledge so the cloud can settle it,
+    // but best-effort so it can't displace a queued job_complete in the outbox
+    this.ws?.send('job_cancelled', { job_id, reason, state: job ? 'cancelling' : 'not_found' });
   }
 
   _onConfigSync(data) {
@@ -168,32 +667,185 @@ export class Bridge {
       if (data.config.api_key) {
         this.config.set('BOLTA_API_KEY', data.config.api_key);
       }
-      // Apply to OpenClaw workspace files (SOUL.md, USER.md, TOOLS.md)
-      this.ocManager.applyCloudConfig(data.config);
+      // Apply to OpenClaw workspace files (SOUL.md, USER.md, TOOLS.md) and agent settings
+      const { agentsChanged } = this.ocManager.applyCloudConfig(data.config);
       // Re-configure MCP with new credentials
       this.ocManager._configureMCP();
       console.log('  🔄 Config synced from Bolta Cloud → OpenClaw workspace + MCP updated');
+      if (agentsChanged) this._scheduleGatewayReload();
     }
   }
 
+  /** Supervisor state change: hold or resume the queue, and tell the cloud right away. */
+  _onGatewayState(state) {
+    if (state === 'down') console.log(`  ⏸ Gateway down — holding ${this.pendingJobs.length} queued job(s)`);
+    if (state === 'up') this._drainQueue();
+    this._sendHeartbeat();
+  }
+
+  /**
+   * Restart the gateway so it picks up new agent settings. Running turns
+   * would die with it, so new jobs are held until they finish.
+   */
+  _scheduleGatewayReload() {
+    if (!this.gatewayReload) this.gatewayReload = 'pending';
+    this._drainQueue();
+  }
+
+  async _reloadGateway() {
+    this.gatewayReload = 'running';
+    try {
+      if (await this.ocManager.reloadGateway()) {
+        console.log('  🔄 Gateway reloaded to apply agent and schedule changes');
+      }
+    } catch (err) {
+      console.error(`  ⚠ Gateway reload failed: ${err.message}`);
+    } finally {
+      this.gatewayReload = null;
+      this._drainQueue();
+    }
+  }
+
+  /**
+   * Jobs still marked running/queued at startup belong to a process that
+   * died. Each one is marked interrupted, then handled per the agent's
+   * recovery policy: re-run locally, ask the cloud to requeue it, or report
+   * a recoverable failure.
+   */
+  _recoverInterruptedJobs() {
+    // Jobs of a `boltaclaw run` that is still going are not orphans
+    const orphans = this.db.getJobsByStatus(['running', 'queued'])
+      .filter(row => !row.owner_pid || row.owner_pid === process.pid || !isAlive(row.owner_pid));
+    if (orphans.length === 0) return;
+
+    console.log(`  🩹 Recovering ${orphans.length} job(s) interrupted by a previous shutdown`);
+
+    for (const row of orphans) {
+      const reason = row.status === 'running'
+        ? 'Engine stopped while the job was running'
+        : 'Engine stopped before the job started';
+      this.db.updateJob(row.id, 'interrupted', null, reason);
+
+      let policy = this._recoveryPolicy(row.agent_slug);
+      if (policy === 'rerun' && row.attempts >= MAX_RECOVERY_ATTEMPTS) {
+        console.log(`  ⚠ ${row.id} already attempted ${row.attempts}x — not re-running`);
+        policy = 'fail';
+      }
+
+      if (policy === 'rerun') {
+        this.db.updateJob(row.id, 'queued');
+        if (row.source === 'local') this.localJobs.add(row.id);
+        this._enqueue({
+          job_id: row.id,
+          agent_slug: row.agent_slug,
+          input: JSON.parse(row.input),
+          context: row.context ? JSON.parse(row.context) : {},
+        });
+        console.log(`  🔁 Re-running interrupted job: ${row.agent_slug} — ${row.id}`);
+      } else if (row.source === 'local') {
+        // Nobody upstream to tell — the interrupted row is the record
+        console.log(`  ⚠ Local job interrupted: ${row.agent_slug} — ${row.id}`);
+      } else if (policy === 'requeue') {
+        this._sendResult('job_requeue', { job_id: row.id, reason });
+        console.log(`  ↩️  Requeue requested: ${row.agent_slug} — ${row.id}`);
+      } else {
+        this._sendResult('job_failed', { job_id: row.id, error: reason, recoverable: true, reason: 'interrupted' });
+        console.log(`  ⚠ Reported interrupted job: ${row.agent_slug} — ${row.id}`);
+      }
+    }
+  }
+
+  /**
+   * Recovery policy for an agent. The `recovery_policy` config key (JSON,
+   * e.g. {"analyst":"rerun","*":"requeue"}) overrides the preset's default.
+   */
+  _recoveryPolicy(agentSlug) {
+    let overrides = {};
+    try {
+      overrides = JSON.parse(this.config.get('recovery_policy') || '{}');
+    } catch {
+      console.error('  ⚠ Ignoring invalid recovery_policy config (expected JSON)');
+    }
+
+    const policy = overrides[agentSlug] || overrides['*'] || getPreset(agentSlug)?.recovery || 'fail';
+    return RECOVERY_POLICIES.includes(policy) ? policy : 'fail';
+  }
+
   // --- Helpers ---
 
-  _buildSystemContext(agentSlug, context = {}) {
-    const parts = [];
+  /**
+   * Terminal job messages go through the durable outbox so they survive
+   * reconnects and restarts; keyed on the job ID so only the latest one is kept.
+   */
+  _sendResult(type, data) {
+    if (this.localJobs.has(data.job_id)) return;
+    this.ws.sendReliable(type, data, { dedupeKey: `job:${data.job_id}` });
+  }
 
-    // Agent role mapping
-    const agentRoles = {
-      hunter: 'Content Discovery & Trending Topics',
-      hype_man: 'Viral Content & Engagement Optimization',
-      deep_diver: 'Long-form Research & Analysis',
-      guardian: 'Brand Safety & Compliance',
-      analyst: 'Performance Analytics & Insights',
-      engager: 'Community & Reply Management',
-      reply_specialist: 'Smart Replies & Conversations',
-      storyteller: 'Narrative & Brand Storytelling',
+  /** Best-effort progress update; local jobs have no cloud listener. */
+  _sendProgress(job_id, event) {
+    if (this.localJobs.has(job_id)) return;
+    this.ws?.send('job_progress', { job_id, event });
+  }
+
+  /**
+   * Cancel a job that is running or queued on this engine.
+   * Returns false if there is no such job (already finished or unknown).
+   */
+  cancelJob(job_id, reason) {
+    const known = this.activeJobs.has(job_id) || this.pendingJobs.some(j => j.job_id === job_id);
+    if (!known) return false;
+    this._onJobCancel({ job_id, reason });
+    return true;
+  }
+
+  /** Snapshot of the live engine for the control API / status CLI. */
+  async getStatus() {
+    const gateway = await this.ocManager.gatewayStatus();
+    return {
+      version: ENGINE_VERSION,
+      pid: process.pid,
+      uptime: process.uptime(),
+      started_at: new Date(this.startedAt).toISOString(),
+      data_dir: this.config.dataDir,
+      workspace_id: this.config.get('workspace_id'),
+      connection: this.ws?.state || 'offline',
+      auth: this.authRejected ? { status: 'rejected', ...this.authRejected } : { status: 'ok' },
+      gateway: { running: gateway.running, url: this.ocManager.getGatewayUrl(), ...this.gateway?.health() },
+      jobs: {
+        active: this.activeJobs.size,
+        queued: this.pendingJobs.length,
+        max_concurrent: this.maxConcurrentJobs,
+      },
+      outbox_depth: this.db.outboxDepth(),
+      memory_rss: process.memoryUsage().rss,
     };
+  }
 
-    const role = agentRoles[agentSlug] || 'General Social Media Agent';
+  /** Active + queued jobs, for the control API. */
+  listActiveJobs() {
+    const active = Array.from(this.activeJobs.entries()).map(([job_id, j]) => ({
+      job_id,
+      agent_slug: j.agent_slug,
+      status: j.status,
+      started_at: new Date(j.started).toISOString(),
+      elapsed_ms: Date.now() - j.started,
+      local: this.localJobs.has(job_id),
+    }));
+    const queued = this.pendingJobs.map((j) => ({
+      job_id: j.job_id,
+      agent_slug: j.agent_slug,
+      status: 'queued',
+      local: this.localJobs.has(j.job_id),
+    }));
+    return [...active, ...queued];
+  }
+
+  _buildSystemContext(agentSlug, context = {}) {
+    const parts = [];
+
+    // Agent role from the preset registry (accepts any alias of the slug)
+    const role = getPreset(agentSlug)?.role || 'General Social Media Agent';
     parts.push(`You are the "${agentSlug}" agent, specializing in ${role}.`);
     parts.push('Execute the task below and return actionable results.');
 
@@ -224,15 +876,99 @@ export class Bridge {
 
   _startHeartbeat() {
     this.heartbeatTimer = setInterval(() => {
-      if (this.ws?.connected) {
-        this.ws.send('heartbeat', {
-          active_jobs: this.activeJobs.size,
-          uptime: process.uptime(),
-          memory: process.memoryUsage().rss,
-          version: '0.1.0',
-          agents: Array.from(this.activeJobs.values()).map(j => j.agent_slug),
-        });
-      }
+      // Count OpenClaw's own turns; budget windows roll over — resume paused cron runs when they do
+      this._syncUsageAndCheckBudgets();
+      this._sendHeartbeat();
     }, HEARTBEAT_INTERVAL_MS);
   }
+
+  _sendHeartbeat() {
+    if (!this.ws?.connected) return;
+    this.ws.send('heartbeat', {
+      active_jobs: this.activeJobs.size,
+      queued_jobs: this.pendingJobs.length,
+      outbox_depth: this.db.outboxDepth(),
+      max_concurrent_jobs: this.maxConcurrentJobs,
+      uptime: process.uptime(),
+      memory: process.memoryUsage().rss,
+      version: ENGINE_VERSION,
+      agents: Array.from(this.activeJobs.values()).map(j => j.agent_slug),
+      budget_paused_agents: [...this.ocManager.pausedAgents],
+      // Jobs are still accepted while the gateway is down, but only run once it is back
+      gateway: this.gateway?.health() || null,
+      accepting_jobs: !this.gateway || this.gateway.isUp(),
+    });
+  }
+}
+
+/**
+ * Store what a handshake hands us: the runner key (burning the install
+ * token it replaces), workspace ID and the Bolta API key for MCP.
+ */
+export function saveHandshake(config, data) {
+  // Install token → persistent runner key swap
+  if (data.runner_key) {
+    try {
+      config.set('runner_key', data.runner_key);
+      config.delete('install_token'); // Burn the install token
+      // Verify it was saved
+      const saved = config.get('runner_key');
+      console.log(`  🔑 Runner key saved: ${data.runner_key.slice(0, 12)}... (verified: ${saved ? 'yes' : 'NO'})`);
+    } catch (err) {
+      console.error(`  ❌ Failed to save runner_key: ${err.message}`);
+    }
+  } else {
+    console.log('  ⚠ No runner_key in handshake response. Data:', JSON.stringify(data).slice(0, 200));
+  }
+  if (data.workspace_id) {
+    config.set('workspace_id', data.workspace_id);
+  }
+  // Store Bolta API key for MCP
+  if (data.api_key) {
+    config.set('BOLTA_API_KEY', data.api_key);
+  }
+  config.delete('auth_rejected');
+}
+
+/**
+ * One-off handshake without running the engine (`boltaclaw reauth` when no
+ * engine is running): authenticate with `token`, store the result, hang up.
+ * Resolves { ok, workspace_id } or { ok: false, error }.
+ */
+export async function performHandshake(config, token, { timeout = REAUTH_TIMEOUT_MS } = {}) {
+  const ws = new WSClient(BOLTA_WS_URL, { wsOptions: getWebSocketOptions(BOLTA_WS_URL, config) });
+  ws.shouldReconnect = false;
+
+  const result = new Promise((resolve) => {
+    const timer = setTimeout(() => resolve({ ok: false, error: 'Timed out waiting for the handshake' }), timeout);
+    const finish = (outcome) => {
+      clearTimeout(timer);
+      resolve(outcome);
+    };
+    ws.on('handshake_complete', (data) => {
+      saveHandshake(config, data);
+      finish({ ok: true, workspace_id: data.workspace_id });
+    });
+    ws.on('auth_rejected', (data) => finish({ ok: false, error: data.message || data.reason || 'token rejected' }));
+    ws.on('error', (data) => {
+      if (AUTH_ERROR_CODES.has(data.code)) finish({ ok: false, error: data.message || data.code });
+    });
+    ws.on('disconnected', (code, reason) => finish({ ok: false, error: reason || `connection closed with code ${code}` }));
+  });
+
+  try {
+    await ws.connect();
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+  ws.send('auth', { token });
+  const outcome = await result;
+  await ws.close();
+  return outcome;
+}
+
+/** `value` as an integer >= 1, or null ("2" and 2 pass; "0", "-1", "1.5", "2x" do not). */
+export function parsePositiveInt(value) {
+  const n = typeof value === 'number' ? value : /^\s*\d+\s*$/.test(String(value)) ? Number(value) : NaN;
+  return Number.isSafeInteger(n) && n >= 1 ? n : null;
 }
@@ -0,0 +1,186 @@
+/**
+ * Spend budgets and rate limits
+ *
+ * Caps on what the engine may spend, checked by the bridge before every agent
+ * turn and mirrored into the cron layer (capped agents have their scheduled
+ * runs paused until the window resets). All windows are UTC.
+ *
+ * Global caps (config keys):
+ *   budget_daily_usd     — spend per calendar day
+ *   budget_monthly_usd   — spend per calendar month
+ *   jobs_per_hour        — agent turns started in the last 60 minutes
+ *
+ * Per-agent caps — `agent_budgets`, JSON map of slug (or alias) → any of
+ *   { daily_usd, monthly_usd, jobs_per_hour }
+ *
+ * `budget_alert_at` (default 0.8) is the fraction of a cap at which a
+ * warning is sent; a second alert fires when the cap is reached. Each alert
+ * fires once per window; markers for past windows are pruned from memory.
+ *
+ * Spend comes from the jobs table (see pricing.js): jobs the engine ran,
+ * plus turns OpenClaw started on its own (cron, heartbeats), which the
+ * bridge imports from `openclaw sessions` every `usage_sync_interval_ms`.
+ * Unpriced models count as $0. The paused set is kept in config
+ * (`budget_paused_agents`) so cron stays paused across restarts.
+ */
+
+import { resolveAgentId } from './agents.js';
+
+const DEFAULT_ALERT_AT = 0.8;
+const ALERT_PREFIX = 'budget_alert:';
+const LIMITS = {
+  daily_usd: { label: 'daily spend', unit: 'usd', window: 'day' },
+  monthly_usd: { label: 'monthly spend', unit: 'usd', window: 'month' },
+  jobs_per_hour: { label: 'jobs per hour', unit: 'jobs', window: 'hour' },
+};
+
+export class BudgetGuard {
+  constructor(config, db) {
+    this.config = config;
+    this.db = db;
+  }
+
+  /** Configured caps: { global: {...}, agent: {...} } — missing keys mean no cap. */
+  limits(agentSlug) {
+    const num = (v) => {
+      const n = parseFloat(v);
+      return Number.isFinite(n) && n >= 0 ? n : null;
+    };
+
+    const global = {
+      daily_usd: num(this.config.get('budget_daily_usd')),
+      monthly_usd: num(this.config.get('budget_monthly_usd')),
+      jobs_per_hour: num(this.config.get('jobs_per_hour')),
+    };
+
+    // Keys may be aliases (`hype_man`); an entry under the agent's own id wins
+    const id = resolveAgentId(agentSlug) || agentSlug;
+    const perAgent = {};
+    try {
+      const entries = Object.entries(JSON.parse(this.config.get('agent_budgets') || '{}') || {})
+        .filter(([key]) => (resolveAgentId(key) || key) === id)
+        .sort(([a], [b]) => (a === id) - (b === id));
+      for (const [, caps] of entries) Object.assign(perAgent, caps);
+    } catch { /* invalid JSON — no per-agent caps */ }
+
+    const agent = {};
+    for (const key of Object.keys(LIMITS)) agent[key] = num(perAgent[key]);
+    return { global, agent };
+  }
+
+  /**
+   * Every configured cap that applies to `agentSlug`, with current usage:
+   * [{ scope, agent, limit, label, used, max, window }].
+   */
+  status(agentSlug) {
+    const { global, agent } = this.limits(agentSlug);
+    const rows = [];
+
+    for (const [scope, caps] of [['global', global], ['agent', agent]]) {
+      for (const [limit, max] of Object.entries(caps)) {
+        if (max === null) continue;
+        const forAgent = scope === 'agent' ? agentSlug : null;
+        rows.push({
+          scope,
+          agent: forAgent,
+          limit,
+          label: LIMITS[limit].label,
+          window: windowStart(LIMITS[limit].window),
+          used: this._used(limit, forAgent),
+          max,
+        });
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * The first cap `agentSlug` has reached, or null if it may run.
+   * Returned object includes a human-readable `message`.
+   */
+  check(agentSlug) {
+    const hit = this.status(agentSlug).find(s => s.used >= s.max);
+    if (!hit) return null;
+    return { ...hit, message: describeHit(hit) };
+  }
+
+  /** Agents (from `agentIds`) that are currently capped — '*' when a global cap is hit. */
+  blockedAgents(agentIds) {
+    const blocked = new Set();
+    for (const slug of agentIds) {
+      const hit = this.check(slug);
+      if (hit) blocked.add(hit.scope === 'global' ? '*' : slug);
+    }
+    return blocked;
+  }
+
+  /**
+   * Thresholds crossed for `agentSlug` that haven't been reported in this
+   * window yet. Marks them as reported. Returns
+   * [{ level: 'warning'|'exceeded', scope, agent, limit, used, max, message }].
+   */
+  takeAlerts(agentSlug) {
+    const alertAt = parseFloat(this.config.get('budget_alert_at')) || DEFAULT_ALERT_AT;
+    const alerts = [];
+
+    // Markers from earlier windows can never match again — drop them
+    const current = [alertHour(), windowStart('day'), windowStart('month')];
+    this.db.forgetMemory(ALERT_PREFIX, key => current.some(p => key.includes(`:${p}:`)));
+
+    for (const s of this.status(agentSlug)) {
+      const level = s.used >= s.max ? 'exceeded' : s.used >= s.max * alertAt ? 'warning' : null;
+      if (!level) continue;
+
+      // The hourly window rolls; alert at most once per clock hour
+      const period = s.limit === 'jobs_per_hour' ? alertHour() : s.window;
+      const key = `${ALERT_PREFIX}${s.scope}:${s.agent || '*'}:${s.limit}:${period}:${level}`;
+      if (this.db.recall(key)) continue;
+      this.db.remember(key, true);
+
+      alerts.push({
+        level,
+        scope: s.scope,
+        agent: s.agent,
+        limit: s.limit,
+        used: s.used,
+        max: s.max,
+        message: level === 'exceeded' ? describeHit(s) : `${describeScope(s)} at ${Math.round((s.used / s.max) * 100)}% of ${s.label} cap (${fmt(s, s.used)} of ${fmt(s, s.max)})`,
+      });
+    }
+    return alerts;
+  }
+
+  _used(limit, agentSlug) {
+    const since = windowStart(LIMITS[limit].window);
+    return limit === 'jobs_per_hour'
+      ? this.db.jobsStartedSince(since, agentSlug)
+      : this.db.spendSince(since, agentSlug);
+  }
+}
+
+/** Current UTC clock hour (`YYYY-MM-DDTHH`) — the alert period for the rolling hourly cap. */
+function alertHour() {
+  return new Date().toISOString().slice(0, 13);
+}
+
+/** Start of the current window as a SQLite UTC datetime. */
+function windowStart(window) {
+  const now = new Date();
+  let start;
+  if (window === 'hour') start = new Date(now.getTime() - 3_600_000);
+  else if (window === 'day') start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  else start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  return start.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function describeScope(s) {
+  return s.scope === 'global' ? 'Workspace' : `Agent "${s.agent}"`;
+}
+
+function describeHit(s) {
+  return `${describeScope(s)} reached its ${s.label} cap (${fmt(s, s.used)} of ${fmt(s, s.max)})`;
+}
+
+function fmt(s, value) {
+  return LIMITS[s.limit].unit === 'usd' ? `$${value.toFixed(2)}` : String(value);
+}
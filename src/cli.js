@@ -1,12 +1,25 @@
 #!/usr/bin/env node
 
-import { Command } from 'commander';
+import { Command, InvalidArgumentError } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
+import { createInterface } from 'readline';
 import { setup } from './setup.js';
-import { Bridge } from './bridge.js';
+import { Bridge, parsePositiveInt, performHandshake } from './bridge.js';
 import { Config } from './config.js';
+import { Database, decodeJobRow } from './db.js';
 import { OpenClawManager } from './openclaw.js';
+import { getAgentIds, getAllAgents, resolveAgentId, unknownAgentMessage } from './agents.js';
+import { BudgetGuard } from './budget.js';
+import { runDoctor } from './doctor.js';
+import { getCustomAgentsDir } from './custom-agents.js';
+import { checkLocalModel, getLocalModelSettings, isLocalOnly, resolveAgentModel } from './models.js';
+import { ControlAPI, fetchEngineStatus, requestEngineReauth } from './control-api.js';
+import { GatewaySupervisor } from './gateway-supervisor.js';
+import { describeOwner } from './instance-lock.js';
+import { isSecretKey } from './secrets.js';
+import { Metrics, MetricsServer } from './metrics.js';
+import { EXIT_CONFIG, ServiceManager } from './service.js';
 
 const program = new Command();
 
@@ -15,6 +28,23 @@ program
   .description('Bolta OpenClaw Engine — run your AI agents locally')
   .version('0.1.0');
 
+function prompt(question) {
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+/** commander parser for --concurrency */
+function concurrencyOption(value) {
+  const n = parsePositiveInt(value);
+  if (n === null) throw new InvalidArgumentError('Expected a positive integer.');
+  return n;
+}
+
 program
   .command('start')
   .description('Start the Bolta OpenClaw engine and connect to Bolta Cloud')
@@ -22,10 +52,28 @@ program
   .option('--verbose', 'Enable verbose logging')
   .option('--no-gateway', 'Skip starting OpenClaw gateway (bridge-only mode)')
   .option('--port <port>', 'OpenClaw gateway port', '18789')
+  .option('--concurrency <n>', 'Max agent turns to run in parallel (default: max_concurrent_jobs or 2)', concurrencyOption)
+  .option('--api [port]', 'Serve the local control API on 127.0.0.1 (default port 18790)')
+  .option('--metrics [port]', 'Serve Prometheus metrics at /metrics (default port 9464)')
   .action(async (opts) => {
     console.log(chalk.blue.bold('\n  ⚡ Bolta OpenClaw Engine v0.1.0\n'));
 
     const config = new Config();
+    const ocManager = new OpenClawManager(config, { verbose: opts.verbose });
+
+    // One engine per data dir and OpenClaw state dir — a second one would take the same jobs
+    try {
+      config.acquireInstanceLock([ocManager.stateDir]);
+    } catch (err) {
+      console.log(chalk.red(`  ✗ ${err.message}`));
+      if (err.code === 'ELOCKED') {
+        console.log(chalk.gray(err.owner.local
+          ? `    Stop it first (kill ${err.owner.pid}), or check \`boltaclaw service status\` if systemd runs it.`
+          : `    If that engine is gone, its lock expires a minute after the last heartbeat (${err.path}).`));
+      }
+      console.log();
+      process.exit(EXIT_CONFIG);
+    }
 
     // If token provided, store it for handshake
     if (opts.token) {
@@ -41,12 +89,10 @@ program
       console.log(chalk.red('  ✗ No workspace token found.'));
       console.log(chalk.gray('    Run: boltaclaw start --token=YOUR_TOKEN'));
       console.log(chalk.gray('    Get your token from Settings → Self-Hosted in the Bolta dashboard.\n'));
-      process.exit(1);
+      process.exit(EXIT_CONFIG);
     }
 
     // Step 1: Ensure OpenClaw is installed and configured
-    const ocManager = new OpenClawManager(config, { verbose: opts.verbose });
-
     const spinner = ora('Checking OpenClaw installation...').start();
     const ocStatus = await ocManager.check();
 
@@ -63,19 +109,31 @@ program
     await ocManager.configure({
       port: parseInt(opts.port, 10),
       anthropicKey: config.get('ANTHROPIC_API_KEY'),
+      openaiKey: config.get('OPENAI_API_KEY'),
     });
     configSpinner.succeed('OpenClaw configured');
 
-    // Step 3: Start OpenClaw gateway (unless --no-gateway)
+    // Step 3: Start OpenClaw gateway under supervision (unless --no-gateway)
+    let gateway = null;
     if (opts.gateway !== false) {
       const gwSpinner = ora('Starting OpenClaw gateway...').start();
-      await ocManager.startGateway();
-      gwSpinner.succeed('OpenClaw gateway running');
+      gateway = new GatewaySupervisor(config, ocManager, { verbose: opts.verbose });
+      await gateway.start();
+      gwSpinner.succeed(`OpenClaw gateway running (logs: ${gateway.log.path})`);
     }
 
     // Step 4: Start the Bolta Cloud bridge (WebSocket)
     const bridgeSpinner = ora('Connecting to Bolta Cloud...').start();
-    const bridge = new Bridge(config, ocManager, { verbose: opts.verbose });
+    const metricsEnabled = opts.metrics || config.get('metrics') === 'true';
+    const metrics = metricsEnabled ? new Metrics() : null;
+    const bridge = new Bridge(config, ocManager, {
+      verbose: opts.verbose,
+      maxConcurrentJobs: opts.concurrency,
+      metrics,
+      gateway,
+      // Interactive runs can recover from a revoked key right here
+      onAuthRejected: process.stdin.isTTY ? () => promptReauth(bridge) : null,
+    });
 
     try {
       await bridge.connect();
@@ -86,22 +144,100 @@ program
       process.exit(1);
     }
 
+    // Surface connection health changes (half-open sockets, reconnects)
+    const stateLabels = {
+      connecting: chalk.yellow('🟡 Cloud connection: connecting...'),
+      online: chalk.green('🟢 Cloud connection: online'),
+      degraded: chalk.yellow('🟠 Cloud connection: degraded (no pong from Bolta Cloud)'),
+      offline: chalk.red('🔴 Cloud connection: offline'),
+    };
+    bridge.on('connection_state', (state) => {
+      console.log(`  ${stateLabels[state] || state}`);
+    });
+
     console.log(chalk.green.bold('\n  🟢 Engine is online'));
     console.log(chalk.gray('  Waiting for jobs from Bolta dashboard...\n'));
     console.log(chalk.gray(`  OpenClaw gateway: ws://127.0.0.1:${opts.port}`));
+
+    // Step 5: Local control API (opt-in)
+    let controlApi = null;
+    if (opts.api || config.get('control_api') === 'true') {
+      controlApi = new ControlAPI(config, bridge, {
+        port: typeof opts.api === 'string' ? opts.api : undefined,
+        verbose: opts.verbose,
+      });
+      try {
+        await controlApi.start();
+        console.log(chalk.gray(`  Control API:      ${controlApi.getUrl()} (Bearer token: control_api_token or gateway_token)`));
+      } catch (err) {
+        console.log(chalk.yellow(`  ⚠ Control API not started: ${err.message}`));
+        controlApi = null;
+      }
+    }
+
+    // Step 6: Prometheus metrics (opt-in)
+    let metricsServer = null;
+    if (metrics) {
+      metrics.bind(bridge);
+      metricsServer = new MetricsServer(config, metrics, {
+        port: typeof opts.metrics === 'string' ? opts.metrics : undefined,
+      });
+      try {
+        await metricsServer.start();
+        console.log(chalk.gray(`  Metrics:          ${metricsServer.getUrl()}`));
+      } catch (err) {
+        console.log(chalk.yellow(`  ⚠ Metrics endpoint not started: ${err.message}`));
+        metricsServer = null;
+      }
+    }
     console.log(chalk.gray('  Press Ctrl+C to stop\n'));
 
     // Graceful shutdown
     const shutdown = async () => {
       console.log(chalk.yellow('\n  Shutting down...'));
+      if (controlApi) await controlApi.stop();
+      if (metricsServer) await metricsServer.stop();
       await bridge.disconnect();
-      await ocManager.stopGateway();
+      if (gateway) await gateway.stop();
+      else await ocManager.stopGateway();
       process.exit(0);
     };
     process.on('SIGINT', shutdown);
     process.on('SIGTERM', shutdown);
   });
 
+/** After the cloud rejects our token: ask for a new install token until one works (blank gives up). */
+async function promptReauth(bridge) {
+  for (;;) {
+    const token = await prompt(chalk.cyan('\n  New install token (blank to keep running offline): '));
+    if (!token) return;
+    const result = await bridge.reauthenticate(token);
+    if (result.ok) return;
+    console.log(chalk.red(`  ✗ ${result.error}`));
+  }
+}
+
+program
+  .command('reauth')
+  .description('Exchange a new install token for a runner key, keeping jobs, history and settings')
+  .requiredOption('--token <token>', 'Install token from Settings → Self-Hosted')
+  .action(async (opts) => {
+    const config = new Config();
+
+    // A running engine swaps tokens on its own connection; otherwise connect just for the handshake
+    const spinner = ora('Authenticating with Bolta Cloud...').start();
+    let result = await requestEngineReauth(config, opts.token);
+    const viaEngine = !!result;
+    if (!result) result = await performHandshake(config, opts.token);
+
+    if (!result.ok) {
+      spinner.fail(`Reauthentication failed: ${result.error}`);
+      process.exit(1);
+    }
+    spinner.succeed(`Reauthenticated — workspace: ${result.workspace_id}`);
+    if (!viaEngine) console.log(chalk.gray('  Restart the engine if it is running without --api, so it picks up the new key'));
+  });
+
 program
   .command('setup')
   .description('Interactive setup wizard')
@@ -131,17 +267,109 @@ program
     const runnerKey = config.get('runner_key');
     const workspaceId = config.get('workspace_id');
     console.log(`  Workspace:    ${workspaceId || chalk.gray('not configured')}`);
-    console.log(`  Runner Key:   ${runnerKey ? chalk.green('configured') : chalk.red('not set')}`);
+    const authRejected = config.get('auth_rejected');
+    if (authRejected) {
+      const { reason, token, at } = JSON.parse(authRejected);
+      console.log(`  Runner Key:   ${chalk.red('rejected by Bolta Cloud')} (${token}: ${reason}, ${at})`);
+      console.log(chalk.yellow('                Run: boltaclaw reauth --token <new install token>'));
+    } else {
+      console.log(`  Runner Key:   ${runnerKey ? chalk.green('configured') : chalk.red('not set')}`);
+    }
     console.log(`  API Key:      ${config.get('ANTHROPIC_API_KEY') ? chalk.green('configured') : chalk.yellow('not set')}`);
 
+    // Local model server (Ollama, vLLM, llama.cpp)
+    const local = getLocalModelSettings(config);
+    if (local) {
+      const check = await checkLocalModel(config);
+      const mode = isLocalOnly(config) ? chalk.cyan(' [local only]') : '';
+      if (check.ok) {
+        const missing = local.models.filter(m => !check.models.includes(m));
+        console.log(`  Local Model:  ${chalk.green('reachable')} ${local.baseUrl} (${check.models.length} models)${mode}`);
+        if (missing.length) console.log(chalk.yellow(`                ⚠ not served: ${missing.join(', ')}`));
+      } else {
+        console.log(`  Local Model:  ${chalk.red('unreachable')} ${local.baseUrl} (${check.error})${mode}`);
+      }
+    }
+
     // Skills
     const skillsDir = config.get('skills_dir');
     console.log(`  Skills:       ${skillsDir || chalk.gray('not installed')}`);
 
     console.log(`  Data Dir:     ${config.dataDir}`);
+
+    // Which process owns this data dir and OpenClaw's state dir (see instance-lock.js)
+    const owner = config.instanceOwner();
+    if (!owner) {
+      console.log(`  Instance:     ${chalk.gray('no engine holds the lock')}`);
+    } else if (owner.stale) {
+      console.log(`  Instance:     ${chalk.yellow('stale lock')} — ${describeOwner(owner)}, taken over on next start`);
+    } else {
+      console.log(`  Instance:     ${chalk.green('locked')} by ${describeOwner(owner)}`);
+    }
+    const ocOwner = config.instanceOwner(ocManager.stateDir);
+    if (ocOwner && !ocOwner.stale && ocOwner.data_dir !== config.dataDir) {
+      console.log(chalk.yellow(`                ⚠ ${ocManager.stateDir} is held by an engine with data dir ${ocOwner.data_dir}: ${describeOwner(ocOwner)}`));
+    }
+
+    // Live engine (via the local control API, if enabled)
+    const engine = await fetchEngineStatus(config);
+    if (engine) {
+      const uptimeMin = Math.floor(engine.uptime / 60);
+      console.log(`  Engine:       ${chalk.green('running')} (pid ${engine.pid}, up ${uptimeMin}m)`);
+      console.log(`  Cloud:        ${engine.connection === 'online' ? chalk.green(engine.connection) : chalk.yellow(engine.connection)}`);
+      console.log(`  Jobs:         ${engine.jobs.active} active, ${engine.jobs.queued} queued (max ${engine.jobs.max_concurrent})`);
+      if (engine.gateway?.state) {
+        const gw = engine.gateway;
+        const color = gw.state === 'up' ? chalk.green : chalk.yellow;
+        const exit = gw.last_exit ? `, last exit code ${gw.last_exit.code} at ${gw.last_exit.at}` : '';
+        console.log(`  Supervisor:   gateway ${color(gw.state)} (${gw.restarts} restart${gw.restarts === 1 ? '' : 's'}${exit})`);
+      }
+    } else {
+      console.log(`  Engine:       ${chalk.gray('not reachable (not running, or started without --api)')}`);
+    }
     console.log();
   });
 
+const DOCTOR_STATUS = {
+  pass: chalk.green('✓'),
+  warn: chalk.yellow('⚠'),
+  fail: chalk.red('✗'),
+  skip: chalk.gray('-'),
+};
+
+program
+  .command('doctor')
+  .description('Check OpenClaw, config files, database, cloud and API keys')
+  .option('--fix', 'Apply safe repairs (rewrite generated files, install missing tools)')
+  .option('--json', 'Output a JSON report (for support tickets)')
+  .action(async (opts) => {
+    const config = new Config();
+    const ocManager = new OpenClawManager(config);
+
+    if (!opts.json) console.log(chalk.blue.bold(`\n  🩺 BoltaClaw Doctor${opts.fix ? ' (--fix)' : ''}\n`));
+
+    const report = await runDoctor(config, ocManager, {
+      fix: opts.fix,
+      onCheck: opts.json ? null : (c) => {
+        const fixed = c.fixed ? chalk.green(' (fixed)') : '';
+        console.log(`  ${DOCTOR_STATUS[c.status]} ${c.label.padEnd(28)} ${c.message}${fixed}`);
+        if (c.hint) console.log(chalk.gray(`      → ${c.hint}`));
+      },
+    });
+
+    if (opts.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      const { pass, warn, fail } = report.summary;
+      console.log(`\n  ${chalk.green(`${pass} passed`)}, ${chalk.yellow(`${warn} warning(s)`)}, ${chalk.red(`${fail} failed`)}`);
+      if (!opts.fix && report.checks.some(c => c.fixable && (c.status === 'warn' || c.status === 'fail'))) {
+        console.log(chalk.gray('  Some of these can be repaired with: boltaclaw doctor --fix'));
+      }
+      console.log();
+    }
+    if (report.summary.fail) process.exit(1);
+  });
+
 program
   .command('config')
   .description('Manage local configuration')
@@ -153,7 +381,9 @@ program
     if (action === 'set' && value) {
       config.set(key, value);
       // Special handling for sensitive keys
-      if (key.toLowerCase().includes('key') || key.toLowerCase().includes('token')) {
+      if (isSecretKey(key)) {
+        console.log(chalk.green(`  ✓ ${key} saved locally, encrypted (never sent to Bolta Cloud)`));
+      } else if (key.toLowerCase().includes('key') || key.toLowerCase().includes('token')) {
         console.log(chalk.green(`  ✓ ${key} saved locally (never sent to Bolta Cloud)`));
       } else {
         console.log(chalk.green(`  ✓ ${key} = ${value}`));
@@ -166,6 +396,563 @@ program
     }
   });
 
+// ─── Job History ──────────────────────────────────────────────────
+
+const JOB_STATUS_COLORS = {
+  complete: chalk.green,
+  failed: chalk.red,
+  cancelled: chalk.yellow,
+  interrupted: chalk.yellow,
+  running: chalk.cyan,
+  queued: chalk.gray,
+};
+
+/** Parse "30m" / "24h" / "7d" or any Date-parsable string into a SQLite UTC datetime. */
+function toSqliteDate(value) {
+  const rel = /^(\d+)([mhd])$/.exec(value);
+  const date = rel
+    ? new Date(Date.now() - parseInt(rel[1], 10) * { m: 60_000, h: 3_600_000, d: 86_400_000 }[rel[2]])
+    : new Date(value);
+  if (isNaN(date.getTime())) throw new Error(`Invalid date: ${value}`);
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function formatJobLine(row) {
+  const color = JOB_STATUS_COLORS[row.status] || chalk.white;
+  const { input: raw } = decodeJobRow(row);
+  const input = (typeof raw === 'string' ? raw : JSON.stringify(raw) ?? '').replace(/\s+/g, ' ');
+  return [
+    chalk.gray(row.created_at),
+    color(row.status.padEnd(11)),
+    row.agent_slug.padEnd(16),
+    chalk.gray(row.id),
+    input.length > 50 ? input.slice(0, 50) + '…' : input,
+  ].join('  ');
+}
+
+function formatCost(usd) {
+  return usd === null || usd === undefined ? chalk.gray('unpriced') : `$${usd.toFixed(4)}`;
+}
+
+const jobs = program
+  .command('jobs')
+  .description('Inspect local job history');
+
+jobs
+  .command('list')
+  .description('List recent jobs')
+  .option('-a, --agent <slug>', 'Only jobs for this agent')
+  .option('-s, --status <status>', 'Only jobs with this status (complete, failed, cancelled, running, ...)')
+  .option('--since <when>', 'Created after (ISO date or relative: 30m, 24h, 7d)')
+  .option('--until <when>', 'Created before (ISO date or relative)')
+  .option('-n, --limit <n>', 'Max rows', '50')
+  .option('--json', 'Output JSON')
+  .action((opts) => {
+    const config = new Config();
+    const db = new Database(config.dataDir);
+
+    let rows;
+    try {
+      rows = db.listJobs({
+        agent: opts.agent ? resolveAgentId(opts.agent) || opts.agent : null,
+        status: opts.status,
+        since: opts.since ? toSqliteDate(opts.since) : null,
+        until: opts.until ? toSqliteDate(opts.until) : null,
+        limit: parseInt(opts.limit, 10) || 50,
+      });
+    } catch (err) {
+      console.error(chalk.red(`  ✗ ${err.message}`));
+      process.exit(1);
+    }
+
+    if (opts.json) {
+      console.log(JSON.stringify(rows.map(decodeJobRow), null, 2));
+      return;
+    }
+    if (rows.length === 0) {
+      console.log(chalk.gray('  No jobs found.'));
+      return;
+    }
+    for (const row of rows) console.log(`  ${formatJobLine(row)}`);
+  });
+
+jobs
+  .command('show')
+  .description('Show a job with its full input and output')
+  .argument('<id>', 'Job ID')
+  .option('--json', 'Output JSON')
+  .action((id, opts) => {
+    const config = new Config();
+    const db = new Database(config.dataDir);
+    const row = db.getJob(id);
+
+    if (!row) {
+      console.error(chalk.red(`  ✗ Job ${id} not found`));
+      process.exit(1);
+    }
+
+    const job = decodeJobRow(row);
+    if (opts.json) {
+      console.log(JSON.stringify(job, null, 2));
+      return;
+    }
+
+    const color = JOB_STATUS_COLORS[job.status] || chalk.white;
+    console.log(chalk.blue.bold(`\n  Job ${job.id}\n`));
+    console.log(`  Agent:      ${job.agent_slug}`);
+    console.log(`  Status:     ${color(job.status)}`);
+    console.log(`  Source:     ${job.source}`);
+    console.log(`  Workspace:  ${job.workspace_id}`);
+    console.log(`  Created:    ${job.created_at}`);
+    console.log(`  Updated:    ${job.updated_at}`);
+    console.log(`  Attempts:   ${job.attempts}`);
+    if (job.input_tokens !== null) {
+      console.log(`  Model:      ${job.model || chalk.gray('unknown')}`);
+      console.log(`  Tokens:     ${job.input_tokens} in / ${job.output_tokens} out (cache ${job.cache_read_tokens} read / ${job.cache_write_tokens} write)`);
+      console.log(`  Cost:       ${formatCost(job.cost_usd)}`);
+    }
+    if (job.error) console.log(`  Error:      ${chalk.red(job.error)}`);
+    if (job.cancel_reason) console.log(`  Cancelled:  ${job.cancel_reason}`);
+    if (job.context) {
+      console.log(chalk.white.bold('\n  Context'));
+      console.log(JSON.stringify(job.context, null, 2).replace(/^/gm, '  '));
+    }
+    console.log(chalk.white.bold('\n  Input'));
+    console.log(String(typeof job.input === 'string' ? job.input : JSON.stringify(job.input, null, 2)).replace(/^/gm, '  '));
+    console.log(chalk.white.bold('\n  Output'));
+    console.log(job.output === null
+      ? chalk.gray('  (none)')
+      : String(typeof job.output === 'string' ? job.output : JSON.stringify(job.output, null, 2)).replace(/^/gm, '  '));
+    console.log();
+  });
+
+jobs
+  .command('tail')
+  .description('Follow job updates live')
+  .option('-a, --agent <slug>', 'Only jobs for this agent')
+  .option('--interval <ms>', 'Poll interval', '1000')
+  .option('--json', 'Output one JSON object per line')
+  .action((opts) => {
+    const config = new Config();
+    const db = new Database(config.dataDir);
+
+    // The engine writes from another process; poll updated_at and print each change once
+    let since = toSqliteDate('0m');
+    const seen = new Map();
+    const agentFilter = opts.agent ? resolveAgentId(opts.agent) || opts.agent : null;
+
+    const poll = () => {
+      for (const row of db.getJobsUpdatedSince(since)) {
+        if (agentFilter && row.agent_slug !== agentFilter) continue;
+        const version = `${row.status}|${row.updated_at}`;
+        if (seen.get(row.id) === version) continue;
+        seen.set(row.id, version);
+        if (row.updated_at > since) since = row.updated_at;
+
+        console.log(opts.json ? JSON.stringify(decodeJobRow(row)) : `  ${formatJobLine(row)}`);
+      }
+    };
+
+    if (!opts.json) console.log(chalk.gray('  Watching for job updates... (Ctrl+C to stop)\n'));
+    poll();
+    setInterval(poll, parseInt(opts.interval, 10) || 1000);
+  });
+
+program
+  .command('run')
+  .description('Run an agent locally, without Bolta Cloud')
+  .argument('<agent>', 'Agent slug (e.g. hunter, analyst, deep-diver)')
+  .requiredOption('-m, --message <text>', 'Task for the agent')
+  .option('--context <json>', 'Extra job context as JSON (workspace_context, intent, account_id)')
+  .option('--stream', 'Show tool calls and text while the agent works (tool summary at the end on openclaw builds that cannot stream)')
+  .option('--report', 'Also report the result to Bolta Cloud (delivered by the running or next engine)')
+  .option('--json', 'Print the finished job as JSON')
+  .option('--verbose', 'Enable verbose logging')
+  .action(async (agent, opts) => {
+    const config = new Config();
+
+    if (!resolveAgentId(agent)) {
+      console.error(chalk.red(`  ✗ ${unknownAgentMessage(agent)}`));
+      process.exit(1);
+    }
+
+    let context = {};
+    if (opts.context) {
+      try {
+        context = JSON.parse(opts.context);
+      } catch {
+        console.error(chalk.red('  ✗ --context must be valid JSON'));
+        process.exit(1);
+      }
+    }
+
+    const ocManager = new OpenClawManager(config, { verbose: opts.verbose });
+    const ocStatus = await ocManager.check();
+    if (!ocStatus.installed) {
+      console.error(chalk.red('  ✗ OpenClaw is not installed. Run: boltaclaw setup'));
+      process.exit(1);
+    }
+
+    const bridge = new Bridge(config, ocManager, { verbose: opts.verbose, standalone: true });
+    if (!opts.json) console.log(chalk.gray(`  Running ${agent}...`));
+
+    const { jobId, done } = bridge.runLocalJob(agent, opts.message, {
+      context,
+      onEvent: opts.stream ? (event) => printAgentEvent(event) : null,
+    });
+
+    // Ctrl+C kills the agent turn (it runs in its own process group)
+    process.on('SIGINT', () => bridge.cancelJob(jobId, 'Interrupted from terminal'));
+
+    const job = decodeJobRow(await done);
+    if (opts.report) bridge.reportLocalJob(jobId);
+
+    if (opts.json) {
+      console.log(JSON.stringify(job, null, 2));
+    } else if (job.status === 'complete') {
+      console.log();
+      console.log(typeof job.output === 'string' ? job.output : JSON.stringify(job.output, null, 2));
+      if (opts.report) console.log(chalk.gray('\n  Result queued for Bolta Cloud.'));
+    } else {
+      console.error(chalk.red(`  ✗ ${agent} ${job.status} (${jobId}): ${job.cancel_reason || job.error || 'Agent execution failed'}`));
+    }
+
+    process.exit(job.status === 'complete' ? 0 : 1);
+  });
+
+/** Render one streamed agent event for `boltaclaw run --stream`. */
+function printAgentEvent(event) {
+  switch (event.type) {
+    case 'text':
+      process.stdout.write(event.text);
+      break;
+    case 'tool_call':
+      console.log(chalk.cyan(`\n  → ${event.tool}`) + (event.args ? chalk.gray(` ${event.args}`) : ''));
+      break;
+    case 'tool_result':
+      if (!event.ok) console.log(chalk.red(`  ✗ ${event.tool} failed`));
+      break;
+    case 'subagent':
+      console.log(chalk.magenta(`\n  ⤷ sub-agent ${event.agent}`) + (event.task ? chalk.gray(`: ${event.task}`) : ''));
+      break;
+    case 'usage':
+      console.log(chalk.gray(`\n  tokens: ${event.input_tokens} in / ${event.output_tokens} out`));
+      break;
+    case 'status':
+      console.log(chalk.gray(`  ${event.message}`));
+      break;
+  }
+}
+
+program
+  .command('usage')
+  .description('Token usage and cost per agent, by day or week')
+  .option('--weekly', 'Group by week instead of day')
+  .option('-a, --agent <slug>', 'Only this agent')
+  .option('--since <when>', 'From (ISO date or relative: 24h, 7d) — default 7d, or 28d with --weekly')
+  .option('--json', 'Output JSON')
+  .action((opts) => {
+    const config = new Config();
+    const db = new Database(config.dataDir);
+
+    let rows;
+    try {
+      rows = db.usageSummary({
+        period: opts.weekly ? 'week' : 'day',
+        since: toSqliteDate(opts.since || (opts.weekly ? '28d' : '7d')),
+        agent: opts.agent ? resolveAgentId(opts.agent) || opts.agent : null,
+      });
+    } catch (err) {
+      console.error(chalk.red(`  ✗ ${err.message}`));
+      process.exit(1);
+    }
+
+    if (opts.json) {
+      console.log(JSON.stringify(rows, null, 2));
+      return;
+    }
+    if (rows.length === 0) {
+      console.log(chalk.gray('  No usage recorded in this period.'));
+      return;
+    }
+
+    let period = null;
+    let total = 0;
+    for (const row of rows) {
+      if (row.period !== period) {
+        period = row.period;
+        console.log(chalk.white.bold(`\n  ${period}`));
+      }
+      total += row.cost_usd || 0;
+      const unpriced = row.unpriced_jobs ? chalk.yellow(` (${row.unpriced_jobs} unpriced)`) : '';
+      console.log([
+        `    ${row.agent_slug.padEnd(16)}`,
+        `${String(row.jobs).padStart(4)} jobs`,
+        `${String(row.input_tokens).padStart(10)} in`,
+        `${String(row.output_tokens).padStart(9)} out`,
+        `${formatCost(row.cost_usd).padStart(10)}${unpriced}`,
+      ].join('  '));
+    }
+    console.log(chalk.white.bold(`\n  Total: $${total.toFixed(4)}`));
+
+    // Caps currently configured, with where each one stands
+    const budget = new BudgetGuard(config, db);
+    const caps = new Map();
+    for (const slug of getAgentIds()) {
+      for (const s of budget.status(slug)) caps.set(`${s.scope}:${s.agent}:${s.limit}`, s);
+    }
+    if (caps.size) {
+      console.log(chalk.white.bold('\n  Budgets'));
+      for (const s of caps.values()) {
+        const pct = s.max ? Math.round((s.used / s.max) * 100) : 100;
+        const color = pct >= 100 ? chalk.red : pct >= 80 ? chalk.yellow : chalk.green;
+        const fmt = (v) => (s.limit === 'jobs_per_hour' ? String(v) : `$${v.toFixed(2)}`);
+        console.log(`    ${(s.agent || 'workspace').padEnd(16)}  ${s.label.padEnd(14)}  ${color(`${fmt(s.used)} of ${fmt(s.max)} (${pct}%)`)}`);
+      }
+    }
+    console.log();
+  });
+
+program
+  .command('agents')
+  .description('List preset and custom agents, and report invalid custom definitions')
+  .option('--json', 'Output JSON')
+  .action((opts) => {
+    const config = new Config();
+    const ocManager = new OpenClawManager(config);
+    const agents = getAllAgents();
+    const errors = ocManager.customAgentErrors;
+
+    if (opts.json) {
+      const list = Object.entries(agents).map(([id, a]) => ({
+        id, name: a.name, custom: !!a.custom, aliases: a.aliases || [], model: resolveAgentModel(config, id, a),
+      }));
+      console.log(JSON.stringify({ agents: list, errors }, null, 2));
+      return;
+    }
+
+    for (const [id, a] of Object.entries(agents)) {
+      const tag = a.custom ? chalk.cyan(' [custom]') : '';
+      const aliases = a.aliases?.length ? chalk.gray(` (aliases: ${a.aliases.join(', ')})`) : '';
+      const { primary, fallbacks } = resolveAgentModel(config, id, a);
+      const chain = [primary, ...fallbacks].join(' → ');
+      console.log(`  ${a.emoji} ${chalk.bold(id)}${tag}  ${a.tagline}${aliases}`);
+      console.log(chalk.gray(`      model: ${chain}`));
+    }
+
+    console.log(chalk.gray(`\n  Custom agents dir: ${getCustomAgentsDir(config)}`));
+    for (const { source, errors: problems } of errors) {
+      console.log(chalk.red(`  ✗ ${source}`));
+      for (const p of problems) console.log(chalk.red(`      ${p}`));
+    }
+    if (errors.length) process.exit(1);
+  });
+
+// ─── Secrets ──────────────────────────────────────────────────────
+
+const secrets = program
+  .command('secrets')
+  .description('Manage API keys and tokens (encrypted at rest)');
+
+secrets
+  .command('list')
+  .description('List stored secrets (redacted)')
+  .option('--json', 'Output JSON')
+  .action((opts) => {
+    const config = new Config();
+    const rows = config.secrets.list();
+
+    if (opts.json) {
+      console.log(JSON.stringify({ mode: config.secrets.mode(), keyFile: config.secrets.keyFile, secrets: rows }, null, 2));
+      return;
+    }
+
+    const mode = config.secrets.mode();
+    console.log(chalk.bold(`\n  🔐 Secrets`) + chalk.gray(`  (${mode === 'passphrase' ? 'passphrase' : `key file ${config.secrets.keyFile}`})\n`));
+    if (rows.length === 0) console.log(chalk.gray('  No secrets stored'));
+    for (const row of rows) {
+      const state = row.encrypted ? chalk.green('encrypted') : chalk.yellow('plaintext');
+      console.log(`  ${row.key.padEnd(24)} ${state.padEnd(20)} ${chalk.gray(row.preview)}`);
+    }
+    console.log();
+  });
+
+secrets
+  .command('set <name> [value]')
+  .description('Store a secret (prompts for the value if omitted)')
+  .action(async (name, value) => {
+    if (!isSecretKey(name)) {
+      console.log(chalk.red(`  ✗ ${name} is not a secret key (names end in _key, _token, _secret or _password)`));
+      console.log(chalk.gray(`    Use: boltaclaw config set ${name} VALUE`));
+      process.exit(1);
+    }
+    const config = new Config();
+    const secret = value || await prompt(chalk.cyan(`  ${name}: `));
+    if (!secret) {
+      console.log(chalk.red('  ✗ No value given'));
+      process.exit(1);
+    }
+    config.set(name, secret);
+    console.log(chalk.green(`  ✓ ${name} saved (encrypted)`));
+    console.log(chalk.gray('    Restart the engine to hand the new value to OpenClaw'));
+  });
+
+secrets
+  .command('rotate-key')
+  .description('Re-encrypt all secrets under a new key file or passphrase')
+  .option('--passphrase', 'Switch to (or change) a passphrase — read from BOLTACLAW_NEW_PASSPHRASE or prompted')
+  .action(async (opts) => {
+    const config = new Config();
+    let passphrase = null;
+
+    if (opts.passphrase) {
+      passphrase = process.env.BOLTACLAW_NEW_PASSPHRASE;
+      if (!passphrase) {
+        passphrase = await prompt(chalk.cyan('  New passphrase: '));
+        const confirm = await prompt(chalk.cyan('  Repeat passphrase: '));
+        if (passphrase !== confirm) {
+          console.log(chalk.red('  ✗ Passphrases do not match'));
+          process.exit(1);
+        }
+      }
+      if (passphrase.length < 12) {
+        console.log(chalk.red('  ✗ Use a passphrase of at least 12 characters'));
+        process.exit(1);
+      }
+    }
+
+    // A running engine holds the old key in memory and would write secrets
+    // under it — hold the lock so none starts mid-rotation either
+    try {
+      config.acquireInstanceLock();
+    } catch (err) {
+      if (err.code !== 'ELOCKED') throw err;
+      console.log(chalk.red(`  ✗ An engine is running on ${config.dataDir}: ${describeOwner(err.owner)}`));
+      console.log(chalk.gray('    Stop it first, rotate, then start it again'));
+      process.exit(1);
+    }
+
+    try {
+      const count = config.secrets.rotateKey({ passphrase });
+      console.log(chalk.green(`  ✓ Re-encrypted ${count} secret(s) under a new ${passphrase ? 'passphrase' : 'key file'}`));
+      if (passphrase) {
+        console.log(chalk.yellow('    Set BOLTACLAW_PASSPHRASE for the engine from now on (e.g. in its service environment)'));
+        console.log(chalk.gray(`    The old key file, if any, is no longer used: ${config.secrets.keyFile}`));
+      } else {
+        console.log(chalk.gray(`    Key file: ${config.secrets.keyFile} — back it up separately from the database`));
+      }
+    } catch (err) {
+      console.log(chalk.red(`  ✗ ${err.message}`));
+      process.exit(1);
+    }
+  });
+
+// ─── Service (systemd) ─────────────────────────────────────────────
+
+const service = program
+  .command('service')
+  .description('Run the engine as a systemd service');
+
+service
+  .command('install')
+  .description('Install, enable and start the boltaclaw systemd unit')
+  .option('--system', 'System unit in /etc/systemd/system (needs root) instead of a user unit')
+  .option('--run-as <user>', 'Account the system unit runs as (default: the invoking user)')
+  .option('--data-dir <dir>', 'Data directory (default: BOLTACLAW_DATA_DIR or ~/.boltaclaw)')
+  .option('--concurrency <n>', 'Passed to boltaclaw start', concurrencyOption)
+  .option('--api [port]', 'Passed to boltaclaw start')
+  .option('--metrics [port]', 'Passed to boltaclaw start')
+  .option('--dry-run', 'Print the unit and environment file instead of installing')
+  .action((opts) => {
+    const startArgs = [];
+    if (opts.concurrency) startArgs.push(`--concurrency=${opts.concurrency}`);
+    if (opts.api) startArgs.push(typeof opts.api === 'string' ? `--api=${opts.api}` : '--api');
+    if (opts.metrics) startArgs.push(typeof opts.metrics === 'string' ? `--metrics=${opts.metrics}` : '--metrics');
+
+    let manager;
+    try {
+      manager = new ServiceManager({ system: opts.system, user: opts.runAs, dataDir: opts.dataDir });
+    } catch (err) {
+      console.log(chalk.red(`  ✗ ${err.message}`));
+      process.exit(1);
+    }
+
+    if (opts.dryRun) {
+      console.log(chalk.gray(`# ${manager.unitPath}`));
+      console.log(manager.unit({ startArgs }));
+      console.log(chalk.gray(`# ${manager.envPath} (only written if missing)`));
+      console.log(manager.envFile());
+      return;
+    }
+
+    try {
+      const { unitPath, envPath, envCreated } = manager.install({ startArgs });
+      console.log(chalk.green(`  ✓ Installed ${unitPath}`));
+      console.log(chalk.gray(`    Data dir:    ${manager.dataDir}`));
+      console.log(chalk.gray(`    Environment: ${envPath}${envCreated ? ' (created)' : ' (kept)'}`));
+      console.log(chalk.gray(`    Logs:        ${manager.logsCommand()}`));
+      if (!opts.system) {
+        console.log(chalk.yellow(`    To start at boot without logging in: sudo loginctl enable-linger ${manager.user}`));
+      }
+    } catch (err) {
+      console.log(chalk.red(`  ✗ ${err.message}`));
+      process.exit(1);
+    }
+  });
+
+service
+  .command('uninstall')
+  .description('Stop, disable and remove the boltaclaw systemd unit')
+  .option('--system', 'Remove the system unit instead of the user unit')
+  .action((opts) => {
+    const manager = new ServiceManager({ system: opts.system });
+    try {
+      if (manager.uninstall()) {
+        console.log(chalk.green(`  ✓ Removed ${manager.unitPath}`));
+        console.log(chalk.gray(`    Data dir and ${manager.envPath} were left in place`));
+      } else {
+        console.log(chalk.gray(`  Not installed (${manager.unitPath})`));
+      }
+    } catch (err) {
+      console.log(chalk.red(`  ✗ ${err.message}`));
+      process.exit(1);
+    }
+  });
+
+service
+  .command('status')
+  .description('Show the systemd unit state')
+  .option('--system', 'Check the system unit instead of the user unit')
+  .option('--json', 'Output JSON')
+  .action((opts) => {
+    const manager = new ServiceManager({ system: opts.system });
+    let status;
+    try {
+      status = manager.status();
+    } catch (err) {
+      console.log(chalk.red(`  ✗ ${err.message}`));
+      process.exit(1);
+    }
+
+    if (opts.json) {
+      console.log(JSON.stringify(status, null, 2));
+      return;
+    }
+    if (!status.installed) {
+      console.log(chalk.gray(`  Not installed (${status.unitPath})`));
+      console.log(chalk.gray(`    Run: boltaclaw service install${opts.system ? ' --system' : ''}`));
+      process.exit(3); // systemctl status convention for "not running"
+    }
+
+    const color = status.active === 'active' ? chalk.green : chalk.yellow;
+    console.log(`  Unit:       ${status.unitPath} (${status.enabled})`);
+    console.log(`  State:      ${color(`${status.active} (${status.sub})`)}${status.since ? chalk.gray(` since ${status.since}`) : ''}`);
+    if (status.pid) console.log(`  PID:        ${status.pid}`);
+    console.log(`  Restarts:   ${status.restarts}`);
+    console.log(chalk.gray(`  Logs:       ${manager.logsCommand()}`));
+    if (status.active !== 'active') process.exit(3);
+  });
+
 program
   .command('logs')
   .description('Tail OpenClaw gateway logs')
@@ -184,4 +971,18 @@ program
     await ocManager.update();
   });
 
+// Any command that reads a secret fails this way when the passphrase is
+// missing — say what to do rather than print a stack trace
+for (const event of ['uncaughtException', 'unhandledRejection']) {
+  process.on(event, (err) => {
+    if (err?.code === 'ESECRETSLOCKED') {
+      console.error(chalk.red(`  ✗ ${err.message}`));
+      console.error(chalk.gray('    export BOLTACLAW_PASSPHRASE=...   (for the service: add it to boltaclaw.env in the data dir)'));
+      process.exit(EXIT_CONFIG);
+    }
+    console.error(err);
+    process.exit(1);
+  });
+}
+
 program.parse();
@@ -0,0 +1,86 @@
+/**
+ * Cloud agent settings
+ *
+ * The dashboard lets users tweak each agent per workspace. Those settings
+ * arrive as `config.agents` in handshake / config_sync messages, either as a
+ * map keyed by slug or a list of objects with a `slug`:
+ *
+ *   { enabled, schedule, model, instructions, persona, heartbeat }
+ *
+ *   enabled       false pauses the agent's cron runs and cloud dispatches
+ *   schedule      replaces the preset schedule; null = manual runs only
+ *   model         "provider/model" for this agent's turns
+ *   instructions  replaces the scheduled-run instructions
+ *   persona       string → full SOUL.md; object → replaces the matching
+ *                 SOUL.md sections ({ personality, tone, style, avoid, notes })
+ *   heartbeat     full HEARTBEAT.md replacement
+ *
+ * normalizeCloudAgents() turns that into validated overrides keyed by
+ * canonical agent ID; agents.js merges them onto the presets.
+ */
+
+import { resolveAgentId } from './agents.js';
+import { MODEL_PATTERN, validateSchedule } from './custom-agents.js';
+
+const PERSONA_FIELDS = ['name', 'personality', 'tone', 'style', 'avoid', 'notes'];
+
+/**
+ * Validate cloud agent settings. Returns { overrides, warnings } — entries
+ * for unknown agents or with invalid fields are dropped field by field, so
+ * one bad value doesn't discard the rest of the dashboard's settings.
+ */
+export function normalizeCloudAgents(raw) {
+  const overrides = {};
+  const warnings = [];
+  if (!raw || typeof raw !== 'object') return { overrides, warnings };
+
+  const entries = Array.isArray(raw)
+    ? raw.map(a => [a?.slug || a?.agent_slug || a?.id, a])
+    : Object.entries(raw);
+
+  for (const [slug, settings] of entries) {
+    const agentId = resolveAgentId(slug);
+    if (!agentId) {
+      warnings.push(`unknown agent "${slug}"`);
+      continue;
+    }
+    if (!settings || typeof settings !== 'object') continue;
+
+    const o = {};
+    const warn = (msg) => warnings.push(`${agentId}: ${msg}`);
+
+    if (settings.enabled !== undefined) o.enabled = settings.enabled !== false;
+
+    if (settings.schedule === null) {
+      o.schedule = null;
+    } else if (settings.schedule !== undefined) {
+      const problems = validateSchedule(settings.schedule);
+      if (problems.length) warn(problems.join('; '));
+      else o.schedule = settings.schedule;
+    }
+
+    if (settings.model !== undefined && settings.model !== null) {
+      if (typeof settings.model === 'string' && MODEL_PATTERN.test(settings.model)) o.model = settings.model;
+      else warn(`invalid model "${settings.model}"`);
+    }
+
+    const instructions = settings.instructions ?? settings.run_instructions;
+    if (typeof instructions === 'string' && instructions.trim()) o.runInstructions = instructions;
+
+    if (typeof settings.persona === 'string' && settings.persona.trim()) {
+      o.soul = settings.persona;
+    } else if (settings.persona && typeof settings.persona === 'object') {
+      const persona = {};
+      for (const key of PERSONA_FIELDS) {
+        if (typeof settings.persona[key] === 'string' && settings.persona[key].trim()) persona[key] = settings.persona[key];
+      }
+      if (Object.keys(persona).length) o.persona = persona;
+    }
+
+    if (typeof settings.heartbeat === 'string' && settings.heartbeat.trim()) o.heartbeat = settings.heartbeat;
+
+    if (Object.keys(o).length) overrides[agentId] = o;
+  }
+
+  return { overrides, warnings };
+}
@@ -0,0 +1,166 @@
+/**
+ * openclaw.json three-way merge
+ *
+ * `configure()` runs on every start. Rather than overwrite openclaw.json, it
+ * merges three versions of the file:
+ *
+ *   base    — what BoltaClaw wrote last time (kept next to the config)
+ *   ours    — what BoltaClaw wants to write now
+ *   theirs  — what is on disk (hand edits, `openclaw config set`, plugins)
+ *
+ * Per key: untouched since base → take ours; unchanged by us → keep theirs;
+ * changed by both → the user's edit wins, except under MANAGED paths, which
+ * BoltaClaw owns outright (gateway auth, agent registry, ...). Keys the user
+ * added are never removed; keys we stop writing are removed unless edited.
+ *
+ * Without a base (first run after upgrading) every value we write wins and
+ * everything else on disk is kept.
+ *
+ * The base never holds secrets: values under SECRET_PATHS are stored as a
+ * `sha256:` digest (redactSecrets) and matched back to ours or theirs
+ * before merging (restoreSecrets).
+ */
+
+import { createHash } from 'crypto';
+
+/** Paths BoltaClaw always overwrites — the engine breaks if these drift. */
+export const MANAGED_PATHS = [
+  'meta',
+  'gateway.port',
+  'gateway.mode',
+  'gateway.bind',
+  'gateway.auth',
+  'agents.defaults.workspace',
+  'agents.list',
+];
+
+/** Token and key values BoltaClaw writes into openclaw.json. */
+export const SECRET_PATHS = [
+  'gateway.auth.token',
+  'channels.telegram.botToken',
+  'channels.slack.botToken',
+  'channels.slack.appToken',
+  'models.providers.local.apiKey',
+];
+
+const DIGEST_PREFIX = 'sha256:';
+
+/** Copy of `config` with every secret value replaced by its digest — what gets saved as the base. */
+export function redactSecrets(config) {
+  const copy = structuredClone(config);
+  for (const path of SECRET_PATHS) {
+    const value = getPath(copy, path);
+    if (typeof value === 'string' && value) setPath(copy, path, digest(value));
+  }
+  return copy;
+}
+
+/**
+ * Copy of a redacted `base` with each digest swapped for whichever of
+ * `candidates` (ours, theirs) it was made from. A digest matching neither
+ * stays, so that value reads as changed on both sides.
+ */
+export function restoreSecrets(base, ...candidates) {
+  if (!base) return base;
+  const copy = structuredClone(base);
+  for (const path of SECRET_PATHS) {
+    const value = getPath(copy, path);
+    if (typeof value !== 'string' || !value.startsWith(DIGEST_PREFIX)) continue;
+    const match = candidates.map(c => getPath(c, path)).find(v => typeof v === 'string' && digest(v) === value);
+    if (match !== undefined) setPath(copy, path, match);
+  }
+  return copy;
+}
+
+/**
+ * Merge `ours` into `theirs` relative to `base` (null if unknown).
+ * Returns { config, changes } where each change is
+ * { path, action: 'added'|'removed'|'changed'|'kept', managed }:
+ * 'kept' marks a user edit preserved over a value BoltaClaw wanted to write.
+ */
+export function mergeConfig(base, ours, theirs) {
+  const changes = [];
+  const config = mergeNode(base ?? undefined, ours, theirs, '', changes, base == null);
+  return { config, changes };
+}
+
+/** One line per change, for the configure() report. */
+export function describeChange({ path, action, managed }) {
+  const symbol = { added: '+', removed: '-', changed: '~', kept: '=' }[action];
+  const note = action === 'kept' ? ' (your edit kept)' : managed ? ' (managed)' : '';
+  return `${symbol} ${path}${note}`;
+}
+
+function mergeNode(base, ours, theirs, path, changes, noBase) {
+  if (isManaged(path)) {
+    if (!equal(ours, theirs)) changes.push({ path, action: actionFor(theirs, ours), managed: true });
+    return ours;
+  }
+
+  if (isObject(ours) && isObject(theirs)) {
+    const result = {};
+    const keys = new Set([...Object.keys(theirs), ...Object.keys(ours)]);
+    for (const key of keys) {
+      const value = mergeNode(
+        isObject(base) ? base[key] : undefined,
+        ours[key],
+        theirs[key],
+        path ? `${path}.${key}` : key,
+        changes,
+        noBase
+      );
+      if (value !== undefined) result[key] = value;
+    }
+    return result;
+  }
+
+  // Leaf (or a type change): decide between ours and theirs as a whole
+  const userEdited = noBase ? ours === undefined : !equal(theirs, base);
+  const weChanged = noBase ? ours !== undefined : !equal(ours, base);
+
+  if (!userEdited) {
+    if (!equal(ours, theirs)) changes.push({ path, action: actionFor(theirs, ours), managed: false });
+    return ours;
+  }
+  if (weChanged && !equal(ours, theirs)) changes.push({ path, action: 'kept', managed: false });
+  return theirs;
+}
+
+function digest(value) {
+  return DIGEST_PREFIX + createHash('sha256').update(value).digest('hex');
+}
+
+function getPath(obj, path) {
+  return path.split('.').reduce((node, key) => (isObject(node) ? node[key] : undefined), obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => node?.[key], obj);
+  if (isObject(parent)) parent[last] = value;
+}
+
+function isManaged(path) {
+  return MANAGED_PATHS.some(p => path === p || path.startsWith(`${p}.`));
+}
+
+function actionFor(before, after) {
+  if (before === undefined) return 'added';
+  if (after === undefined) return 'removed';
+  return 'changed';
+}
+
+function isObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function equal(a, b) {
+  return JSON.stringify(sortKeys(a)) === JSON.stringify(sortKeys(b));
+}
+
+function sortKeys(v) {
+  if (Array.isArray(v)) return v.map(sortKeys);
+  if (!isObject(v)) return v;
+  return Object.fromEntries(Object.keys(v).sort().map(k => [k, sortKeys(v[k])]));
+}
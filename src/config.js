@@ -1,6 +1,8 @@
 import { join } from 'path';
 import { mkdirSync, existsSync } from 'fs';
 import { LocalDB } from './db.js';
+import { InstanceLock } from './instance-lock.js';
+import { SecretStore, isEncrypted, isSecretKey, redact } from './secrets.js';
 
 const DEFAULT_DATA_DIR = join(
   process.env.HOME || process.env.USERPROFILE || '/tmp',
@@ -11,7 +13,10 @@ const DEFAULT_DATA_DIR = join(
  * Config manager for BoltaClaw.
  *
  * Stores config in a local SQLite database at ~/.boltaclaw/boltaclaw.sqlite.
- * Environment variables override SQLite values.
+ * Environment variables override SQLite values. Secret values (keys ending
+ * in _key / _token / _secret / _password) are encrypted at rest — see
+ * secrets.js — and decrypted transparently by get(). A running engine
+ * claims the data dir with acquireInstanceLock() (see instance-lock.js).
  *
  * Key storage:
  *   - install_token   — one-time handshake token (burned after use)
@@ -20,13 +25,42 @@ const DEFAULT_DATA_DIR = join(
  *   - gateway_token   — local OpenClaw gateway auth token
  *   - gateway_port    — local OpenClaw gateway port
  *   - ANTHROPIC_API_KEY — Claude API key (BYOK, never leaves machine)
- *   - OPENAI_API_KEY    — OpenAI key (optional, for embeddings)
+ *   - OPENAI_API_KEY    — OpenAI key (optional, for openai/* agent models and embeddings)
  *   - TELEGRAM_BOT_TOKEN — Telegram bot token (optional)
  *   - TELEGRAM_USER_ID   — Telegram user ID for allowlist
  *   - SLACK_BOT_TOKEN    — Slack bot token (optional)
  *   - SLACK_APP_TOKEN    — Slack app-level token (optional)
  *   - voice_profile      — Brand voice description (synced from cloud)
  *   - skills_dir         — Path to bolta-skills directory
+ *   - max_concurrent_jobs — Agent turns the bridge runs in parallel (default 2)
+ *   - ws_max_reconnect_delay_ms — Cap for the jittered reconnect backoff (default 30000)
+ *   - recovery_policy    — JSON map of agent slug → rerun|requeue|fail for crashed jobs
+ *   - https_proxy / no_proxy — Egress proxy for cloud, MCP and npm traffic
+ *   - ca_bundle          — Extra PEM CA bundle (TLS-inspecting proxies)
+ *   - control_api        — 'true' to always serve the local control API
+ *   - control_api_port   — Control API port on 127.0.0.1 (default 18790)
+ *   - control_api_token  — Control API bearer token (default: gateway_token)
+ *   - metrics            — 'true' to always serve Prometheus metrics
+ *   - metrics_port / metrics_host — Metrics listener (default 127.0.0.1:9464)
+ *   - metrics_token      — Optional bearer token required on /metrics
+ *   - default_model      — provider/model for agents without their own (default anthropic/claude-sonnet-4-5)
+ *   - model_fallbacks    — Comma-separated fallback models tried when the primary errors or is rate-limited
+ *   - agent_models       — JSON map of agent slug → model or { primary, fallbacks }
+ *   - local_model_url    — OpenAI-compatible endpoint on this host (Ollama, vLLM, llama.cpp)
+ *   - local_models       — Comma-separated model IDs served there (used as local/<id>)
+ *   - local_model_api_key — Key for the local endpoint, if it wants one
+ *   - local_only         — 'true' to run every agent on the local model and never configure hosted providers
+ *   - model_prices       — JSON map of provider/model → USD per million tokens (see pricing.js)
+ *   - budget_daily_usd / budget_monthly_usd — Workspace spend caps (UTC windows, see budget.js)
+ *   - jobs_per_hour      — Workspace cap on agent turns started per hour
+ *   - agent_budgets      — JSON map of agent slug (or alias) → { daily_usd, monthly_usd, jobs_per_hour }
+ *   - budget_alert_at    — Fraction of a cap that triggers a warning (default 0.8)
+ *   - budget_paused_agents — JSON list of agents whose cron runs are paused for budget (managed)
+ *   - usage_sync_interval_ms — How often OpenClaw's own turns are imported for budgets (default 60000)
+ *   - openclaw_usage_synced_at — Last import of OpenClaw's own turns (managed)
+ *   - gateway_health_interval_ms — How often the supervisor checks the gateway (default 15000)
+ *   - gateway_log_max_bytes / gateway_log_files — Gateway log rotation (default 10 MB, 5 files)
+ *   - secrets_mode / secrets_salt — How secrets are encrypted (managed by `boltaclaw secrets`)
  *   - cloud_*            — Config values pushed from Bolta Cloud
  */
 export class Config {
@@ -39,6 +73,48 @@ export class Config {
     }
 
     this._db = new LocalDB(this.dataDir);
+    this._instanceLocks = [];
+    this.secrets = new SecretStore(this.dataDir, this._db);
+
+    // Encrypt secrets written in plaintext by older versions
+    try {
+      const migrated = this.secrets.migrate();
+      if (migrated) console.log(`  🔐 Encrypted ${migrated} stored secret(s) at rest`);
+    } catch (err) {
+      console.warn(`  ⚠️  Could not encrypt stored secrets: ${err.message}`);
+    }
+  }
+
+  /**
+   * Claim this data dir (and `extraDirs`, e.g. OpenClaw's state dir) for
+   * this process — see instance-lock.js. Safe to call again. Throws an
+   * Error with code 'ELOCKED' and `owner` if another engine holds any of
+   * them; nothing stays locked in that case.
+   */
+  acquireInstanceLock(extraDirs = []) {
+    const taken = [];
+    try {
+      for (const dir of [this.dataDir, ...extraDirs].filter(Boolean)) {
+        if (this._instanceLocks.some(l => l.dir === dir)) continue;
+        const lock = new InstanceLock(dir, { dataDir: this.dataDir });
+        lock.acquire();
+        taken.push(lock);
+      }
+    } catch (err) {
+      for (const lock of taken) lock.release();
+      throw err;
+    }
+    this._instanceLocks.push(...taken);
+  }
+
+  releaseInstanceLock() {
+    for (const lock of this._instanceLocks) lock.release();
+    this._instanceLocks = [];
+  }
+
+  /** Holder of the lock on this data dir, or on `dir` (see InstanceLock.owner()). */
+  instanceOwner(dir = this.dataDir) {
+    return new InstanceLock(dir).owner();
   }
 
   get(key) {
@@ -57,11 +133,12 @@ export class Config {
     const envAlias = boltaEnvMap[key];
     if (envAlias && process.env[envAlias]) return process.env[envAlias];
 
-    return this._db.getConfig(key);
+    const value = this._db.getConfig(key);
+    return isEncrypted(value) ? this.secrets.decrypt(value) : value;
   }
 
   set(key, value) {
-    this._db.setConfig(key, value);
+    this._db.setConfig(key, isSecretKey(key) && value ? this.secrets.encrypt(value) : value);
   }
 
   delete(key) {
@@ -76,12 +153,12 @@ export class Config {
     const rows = this._db.db.prepare('SELECT key, value FROM config').all();
     const result = Object.fromEntries(rows.map((r) => [r.key, r.value]));
 
-    // Redact sensitive keys for display
+    // Redact sensitive keys for display (secrets are listed by `boltaclaw secrets list`)
     for (const k of Object.keys(result)) {
-      if (k.toLowerCase().includes('key') || k.toLowerCase().includes('token') || k.toLowerCase().includes('secret')) {
-        if (result[k] && result[k].length > 10) {
-          result[k] = result[k].substring(0, 8) + '...' + result[k].substring(result[k].length - 4);
-        }
+      if (isEncrypted(result[k])) {
+        result[k] = '(encrypted)';
+      } else if (k.toLowerCase().includes('key') || k.toLowerCase().includes('token') || k.toLowerCase().includes('secret')) {
+        if (result[k] && result[k].length > 10) result[k] = redact(result[k]);
       }
     }
     return result;
@@ -0,0 +1,251 @@
+/**
+ * Local control API
+ *
+ * Optional loopback-only HTTP server that lets local tools (and the
+ * `boltaclaw status` command) talk to a running engine without going
+ * through Bolta Cloud.
+ *
+ * Auth: `Authorization: Bearer <token>` where the token is
+ * `control_api_token` if set, otherwise the OpenClaw `gateway_token`.
+ *
+ * Endpoints:
+ *   GET  /status                 — engine, connection, gateway and queue state
+ *   GET  /jobs/active            — running + queued jobs
+ *   GET  /jobs?limit=50          — job history from the local jobs table
+ *   GET  /jobs/:id               — one job with input/output
+ *   POST /jobs/:id/cancel        — cancel a running or queued job
+ *   POST /agents/:slug/run       — run an agent now ({ message, context })
+ *   POST /auth/reauth            — handshake with a new install token ({ token })
+ */
+
+import { createServer } from 'http';
+import { timingSafeEqual } from 'crypto';
+import { decodeJobRow } from './db.js';
+
+export const DEFAULT_CONTROL_API_PORT = 18790;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+export class ControlAPI {
+  constructor(config, bridge, opts = {}) {
+    this.config = config;
+    this.bridge = bridge;
+    this.port = parseInt(opts.port || config.get('control_api_port') || DEFAULT_CONTROL_API_PORT, 10);
+    this.verbose = opts.verbose || false;
+    this.server = null;
+  }
+
+  /** Token clients must present; read per request so rotation takes effect. */
+  _token() {
+    return this.config.get('control_api_token') || this.config.get('gateway_token');
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = createServer((req, res) => {
+        this._handle(req, res).catch((err) => {
+          // Don't wait for the rest of an oversized body
+          if (err.status === 413) res.setHeader('Connection', 'close');
+          this._send(res, err.status || 500, { error: err.message });
+        });
+      });
+
+      this.server.once('error', reject);
+      // Loopback only — never reachable from the network
+      this.server.listen(this.port, '127.0.0.1', () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise((resolve) => this.server.close(() => resolve()));
+    this.server = null;
+  }
+
+  getUrl() {
+    return `http://127.0.0.1:${this.port}`;
+  }
+
+  // ─── Request Handling ───────────────────────────────────────────
+
+  async _handle(req, res) {
+    if (!this._authorized(req)) {
+      return this._send(res, 401, { error: 'Unauthorized' });
+    }
+
+    const url = new URL(req.url, this.getUrl());
+    let parts;
+    try {
+      parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+      return this._send(res, 400, { error: `Malformed path ${url.pathname}` });
+    }
+    const route = `${req.method} /${parts.map((p, i) => (i % 2 ? ':param' : p)).join('/')}`;
+
+    if (this.verbose) console.log(`  API ${req.method} ${url.pathname}`);
+
+    switch (route) {
+      case 'GET /status':
+        return this._send(res, 200, await this.bridge.getStatus());
+
+      case 'GET /jobs/:param':
+        if (parts[1] === 'active') {
+          return this._send(res, 200, { jobs: this.bridge.listActiveJobs() });
+        }
+        return this._getJob(res, parts[1]);
+
+      case 'GET /jobs': {
+        const limit = Math.min(parseInt(url.searchParams.get('limit') || '50', 10) || 50, 500);
+        return this._send(res, 200, { jobs: this.bridge.db.getRecentJobs(limit).map(decodeJobRow) });
+      }
+
+      case 'POST /jobs/:param/cancel': {
+        const body = await this._readBody(req);
+        const reason = body.reason || 'Cancelled via local control API';
+        if (!this.bridge.cancelJob(parts[1], reason)) {
+          return this._send(res, 404, { error: `No running or queued job ${parts[1]}` });
+        }
+        return this._send(res, 200, { job_id: parts[1], cancelled: true, reason });
+      }
+
+      case 'POST /agents/:param/run': {
+        const body = await this._readBody(req);
+        if (!body.message || typeof body.message !== 'string') {
+          return this._send(res, 400, { error: '"message" (string) is required' });
+        }
+        let jobId;
+        try {
+          ({ jobId } = this.bridge.runLocalJob(parts[1], body.message, { context: body.context || {} }));
+        } catch (err) {
+          return this._send(res, 400, { error: err.message });
+        }
+        return this._send(res, 202, { job_id: jobId, status: 'queued' });
+      }
+
+      case 'POST /auth/:param': {
+        if (parts[1] !== 'reauth') return this._send(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+        const body = await this._readBody(req);
+        if (!body.token || typeof body.token !== 'string') {
+          return this._send(res, 400, { error: '"token" (string) is required' });
+        }
+        const result = await this.bridge.reauthenticate(body.token);
+        return this._send(res, result.ok ? 200 : 502, result);
+      }
+
+      default:
+        return this._send(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+    }
+  }
+
+  _getJob(res, id) {
+    const job = this.bridge.db.getJob(id);
+    if (!job) return this._send(res, 404, { error: `Job ${id} not found` });
+    return this._send(res, 200, decodeJobRow(job));
+  }
+
+  _authorized(req) {
+    const expected = this._token();
+    if (!expected) return false;
+
+    const header = req.headers.authorization || '';
+    const given = header.startsWith('Bearer ') ? header.slice(7) : '';
+    const a = Buffer.from(given);
+    const b = Buffer.from(expected);
+    return a.length === b.length && timingSafeEqual(a, b);
+  }
+
+  /**
+   * Parsed JSON object body ({} when empty). Rejects with an Error whose
+   * `status` is 413 for an oversized body and 400 for anything not JSON.
+   */
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      const fail = (status, message) => {
+        const err = new Error(message);
+        err.status = status;
+        reject(err);
+      };
+      const tooLarge = `Request body too large (max ${MAX_BODY_BYTES} bytes)`;
+      if (parseInt(req.headers['content-length'], 10) > MAX_BODY_BYTES) return fail(413, tooLarge);
+
+      let chunks = [];
+      let size = 0;
+      req.on('data', (chunk) => {
+        if (!chunks) return; // Over the limit — drain the rest without keeping it
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          chunks = null;
+          return fail(413, tooLarge);
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        if (!chunks) return;
+        const raw = Buffer.concat(chunks).toString('utf-8');
+        if (!raw.trim()) return resolve({});
+        let body;
+        try {
+          body = JSON.parse(raw);
+        } catch {
+          return fail(400, 'Request body must be JSON');
+        }
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+          return fail(400, 'Request body must be a JSON object');
+        }
+        resolve(body);
+      });
+      req.on('error', reject);
+    });
+  }
+
+  _send(res, status, body) {
+    if (res.headersSent) return;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+}
+
+/**
+ * Client side: ask a running engine for its status. Returns null if no
+ * engine is listening (or the token doesn't match).
+ */
+export async function fetchEngineStatus(config, { timeout = 2000 } = {}) {
+  const port = config.get('control_api_port') || DEFAULT_CONTROL_API_PORT;
+  const token = config.get('control_api_token') || config.get('gateway_token');
+  if (!token) return null;
+
+  try {
+    const res = await fetch(`http://127.0.0.1:${port}/status`, {
+      headers: { Authorization: `Bearer ${token}` },
+      signal: AbortSignal.timeout(timeout),
+    });
+    return res.ok ? await res.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Client side: ask a running engine to reauthenticate with a new install
+ * token on its live connection. Returns null if no engine is listening.
+ */
+export async function requestEngineReauth(config, token, { timeout = 20_000 } = {}) {
+  const port = config.get('control_api_port') || DEFAULT_CONTROL_API_PORT;
+  const apiToken = config.get('control_api_token') || config.get('gateway_token');
+  if (!apiToken) return null;
+
+  try {
+    const res = await fetch(`http://127.0.0.1:${port}/auth/reauth`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${apiToken}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token }),
+      signal: AbortSignal.timeout(timeout),
+    });
+    if (res.status === 401 || res.status === 404) return null;
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * User-defined agents
+ *
+ * Agents that live next to the eight presets, defined by the user in
+ * `<dataDir>/agents/` (default ~/.boltaclaw/agents/). Either form works:
+ *
+ *   agents/launch-announcer.json          — everything inline
+ *   agents/launch-announcer/agent.json    — plus optional SOUL.md / HEARTBEAT.md
+ *                                           next to it (used when the JSON
+ *                                           doesn't set soul / heartbeat)
+ *
+ * The slug is the file (or directory) name. Fields:
+ *   name             string, required   — display name
+ *   soul             string, required   — SOUL.md persona
+ *   heartbeat        string             — HEARTBEAT.md checklist
+ *   role             string             — used in the job system context
+ *   emoji, tagline, color  string
+ *   runInstructions  string             — message for scheduled runs
+ *   schedule         object             — { frequency, days, time } or { times, days }
+ *   model            string             — "provider/model", e.g. anthropic/claude-sonnet-4-5
+ *   aliases          string[]           — alternate slugs accepted from dispatches
+ *   recovery         'rerun' | 'requeue' | 'fail'
+ *
+ * Invalid definitions are skipped and reported; they never break the presets.
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { join } from 'path';
+import { AGENT_PRESETS, normalizeAgentSlug } from './agents.js';
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+export const MODEL_PATTERN = /^[\w.-]+\/[\w.:-]+$/;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const RECOVERY_POLICIES = ['rerun', 'requeue', 'fail'];
+const STRING_FIELDS = ['name', 'soul', 'heartbeat', 'role', 'emoji', 'tagline', 'color', 'runInstructions', 'model'];
+const KNOWN_FIELDS = new Set([...STRING_FIELDS, 'schedule', 'aliases', 'recovery']);
+
+/** Directory custom agent definitions are read from. */
+export function getCustomAgentsDir(config) {
+  return join(config.dataDir, 'agents');
+}
+
+/**
+ * Load and validate every definition in `dir`.
+ * Returns { agents: { slug: definition }, errors: [{ source, errors: [] }] }.
+ */
+export function loadCustomAgents(dir) {
+  const agents = {};
+  const errors = [];
+  if (!existsSync(dir)) return { agents, errors };
+
+  const taken = new Set();
+  for (const [id, preset] of Object.entries(AGENT_PRESETS)) {
+    taken.add(id);
+    for (const alias of preset.aliases || []) taken.add(alias);
+  }
+
+  for (const entry of readdirSync(dir).sort()) {
+    const path = join(dir, entry);
+    let slug;
+    let def;
+
+    try {
+      if (statSync(path).isDirectory()) {
+        slug = entry;
+        def = readDirectoryDefinition(path);
+        if (!def) continue;
+      } else if (entry.endsWith('.json')) {
+        slug = entry.slice(0, -'.json'.length);
+        def = JSON.parse(readFileSync(path, 'utf-8'));
+      } else {
+        continue;
+      }
+    } catch (err) {
+      errors.push({ source: path, errors: [`could not read definition: ${err.message}`] });
+      continue;
+    }
+
+    const problems = validateAgentDefinition(slug, def);
+    if (taken.has(slug)) problems.push(`slug "${slug}" is already used by a preset agent`);
+    for (const alias of def?.aliases || []) {
+      if (taken.has(normalizeAgentSlug(alias))) problems.push(`alias "${alias}" is already in use`);
+    }
+
+    if (problems.length) {
+      errors.push({ source: path, errors: problems });
+      continue;
+    }
+
+    const heartbeat = def.heartbeat || defaultHeartbeat(def.name);
+    agents[slug] = {
+      ...def,
+      heartbeat,
+      aliases: (def.aliases || []).map(normalizeAgentSlug),
+      role: def.role || def.tagline || def.name,
+      emoji: def.emoji || '🤖',
+      tagline: def.tagline || 'Custom Agent',
+    };
+
+    taken.add(slug);
+    for (const alias of agents[slug].aliases) taken.add(alias);
+  }
+
+  return { agents, errors };
+}
+
+/** Validate one definition against the schema above. Returns a list of problems. */
+export function validateAgentDefinition(slug, def) {
+  const problems = [];
+
+  if (!SLUG_PATTERN.test(slug)) {
+    problems.push(`slug "${slug}" must be lowercase letters, digits and hyphens`);
+  }
+  if (!def || typeof def !== 'object' || Array.isArray(def)) {
+    return [...problems, 'definition must be a JSON object'];
+  }
+
+  for (const key of Object.keys(def)) {
+    if (!KNOWN_FIELDS.has(key)) problems.push(`unknown field "${key}"`);
+  }
+  for (const key of STRING_FIELDS) {
+    if (def[key] !== undefined && typeof def[key] !== 'string') problems.push(`"${key}" must be a string`);
+  }
+  if (!def.name?.trim?.()) problems.push('"name" is required');
+  if (!def.soul?.trim?.()) problems.push('"soul" is required (inline or SOUL.md)');
+
+  if (def.model !== undefined && typeof def.model === 'string' && !MODEL_PATTERN.test(def.model)) {
+    problems.push(`"model" must look like provider/model, got "${def.model}"`);
+  }
+
+  if (def.aliases !== undefined) {
+    if (!Array.isArray(def.aliases) || def.aliases.some(a => typeof a !== 'string' || !a.trim())) {
+      problems.push('"aliases" must be an array of strings');
+    }
+  }
+
+  if (def.recovery !== undefined && !RECOVERY_POLICIES.includes(def.recovery)) {
+    problems.push(`"recovery" must be one of ${RECOVERY_POLICIES.join(', ')}`);
+  }
+
+  if (def.schedule !== undefined) problems.push(...validateSchedule(def.schedule));
+
+  return problems;
+}
+
+/** Validate a schedule object. Shared with cloud agent overrides. */
+export function validateSchedule(sched) {
+  if (!sched || typeof sched !== 'object' || Array.isArray(sched)) {
+    return ['"schedule" must be an object'];
+  }
+
+  const problems = [];
+  if (sched.time !== undefined && !TIME_PATTERN.test(sched.time)) {
+    problems.push('"schedule.time" must be HH:MM (24h)');
+  }
+  if (sched.times !== undefined) {
+    if (!Array.isArray(sched.times) || !sched.times.length || sched.times.some(t => !TIME_PATTERN.test(t))) {
+      problems.push('"schedule.times" must be a non-empty array of HH:MM times');
+    }
+  }
+  if (sched.days !== undefined) {
+    if (!Array.isArray(sched.days) || !sched.days.length || sched.days.some(d => !WEEKDAYS.includes(d))) {
+      problems.push(`"schedule.days" must be a non-empty array of ${WEEKDAYS.join('|')}`);
+    }
+  }
+  if (sched.frequency !== undefined && typeof sched.frequency !== 'string') {
+    problems.push('"schedule.frequency" must be a string');
+  }
+  return problems;
+}
+
+function readDirectoryDefinition(dir) {
+  const jsonPath = join(dir, 'agent.json');
+  if (!existsSync(jsonPath)) return null;
+
+  const def = JSON.parse(readFileSync(jsonPath, 'utf-8'));
+  if (!def || typeof def !== 'object') return def;
+
+  const soulPath = join(dir, 'SOUL.md');
+  const heartbeatPath = join(dir, 'HEARTBEAT.md');
+  if (def.soul === undefined && existsSync(soulPath)) def.soul = readFileSync(soulPath, 'utf-8');
+  if (def.heartbeat === undefined && existsSync(heartbeatPath)) def.heartbeat = readFileSync(heartbeatPath, 'utf-8');
+  return def;
+}
+
+function defaultHeartbeat(name) {
+  return `# HEARTBEAT.md — ${name}
+
+## Checklist
+- [ ] Anything in your SOUL.md that needs attention right now?
+
+If nothing needs attention, reply HEARTBEAT_OK.
+`;
+}
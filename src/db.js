@@ -34,18 +34,68 @@ export class LocalDB {
         value TEXT NOT NULL
       );
 
+      CREATE TABLE IF NOT EXISTS outbox (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        dedupe_key TEXT UNIQUE,
+        payload TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT DEFAULT (datetime('now')),
+        last_sent_at TEXT
+      );
+
       CREATE INDEX IF NOT EXISTS idx_jobs_workspace ON jobs(workspace_id);
       CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
       CREATE INDEX IF NOT EXISTS idx_memory_key ON memory(key);
     `);
+
+    // Columns added after the initial schema
+    this._addColumn('jobs', 'cancel_reason', 'TEXT');
+    this._addColumn('jobs', 'context', 'TEXT');
+    this._addColumn('jobs', 'attempts', 'INTEGER NOT NULL DEFAULT 0');
+    this._addColumn('jobs', 'source', "TEXT NOT NULL DEFAULT 'cloud'");
+    this._addColumn('jobs', 'model', 'TEXT');
+    this._addColumn('jobs', 'input_tokens', 'INTEGER');
+    this._addColumn('jobs', 'output_tokens', 'INTEGER');
+    this._addColumn('jobs', 'cache_read_tokens', 'INTEGER');
+    this._addColumn('jobs', 'cache_write_tokens', 'INTEGER');
+    this._addColumn('jobs', 'cost_usd', 'REAL');
+    this._addColumn('jobs', 'started_at', 'TEXT');
+    this._addColumn('jobs', 'owner_pid', 'INTEGER');
+  }
+
+  /** Add a column to an existing table if it's not there yet. */
+  _addColumn(table, column, definition) {
+    const cols = this.db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!cols.some(c => c.name === column)) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
   }
 
   // --- Jobs ---
 
-  createJob(id, workspaceId, agentSlug, input) {
+  /**
+   * Record a job. `source` is 'cloud' for dispatched jobs and 'local' for
+   * jobs started on this machine (control API, CLI), which the cloud never sees.
+   * `ownerPid` marks a job run by a process other than the engine (e.g.
+   * `boltaclaw run`), so the engine's crash recovery leaves it alone while
+   * that process is alive.
+   */
+  createJob(id, workspaceId, agentSlug, input, { status = 'running', context = null, source = 'cloud', ownerPid = null } = {}) {
+    // Upsert — the cloud re-dispatches the same job ID after a requeue
+    this.db.prepare(`
+      INSERT INTO jobs (id, workspace_id, agent_slug, status, input, context, source, owner_pid) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        status = excluded.status, input = excluded.input, context = excluded.context,
+        output = NULL, error = NULL, updated_at = datetime('now')
+    `).run(id, workspaceId, agentSlug, status, JSON.stringify(input), context ? JSON.stringify(context) : null, source, ownerPid);
+  }
+
+  /** Mark a job as running and count the attempt (used to cap crash re-runs). */
+  startJob(id) {
     this.db.prepare(
-      'INSERT INTO jobs (id, workspace_id, agent_slug, status, input) VALUES (?, ?, ?, ?, ?)'
-    ).run(id, workspaceId, agentSlug, 'running', JSON.stringify(input));
+      "UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = datetime('now'), updated_at = datetime('now') WHERE id = ?"
+    ).run(id);
   }
 
   updateJob(id, status, output = null, error = null) {
@@ -54,14 +104,199 @@ export class LocalDB {
     ).run(status, output ? JSON.stringify(output) : null, error, id);
   }
 
+  cancelJob(id, reason) {
+    this.db.prepare(
+      "UPDATE jobs SET status = 'cancelled', cancel_reason = ?, updated_at = datetime('now') WHERE id = ?"
+    ).run(reason, id);
+  }
+
+  /**
+   * Add a turn's token usage and cost to a job. Adds rather than overwrites,
+   * so a job re-run after a crash or requeue shows everything it spent.
+   */
+  recordUsage(id, { model = null, input_tokens = 0, output_tokens = 0, cache_read_tokens = 0, cache_write_tokens = 0, cost_usd = null }) {
+    this.db.prepare(`
+      UPDATE jobs SET
+        model = COALESCE(?, model),
+        input_tokens = COALESCE(input_tokens, 0) + ?,
+        output_tokens = COALESCE(output_tokens, 0) + ?,
+        cache_read_tokens = COALESCE(cache_read_tokens, 0) + ?,
+        cache_write_tokens = COALESCE(cache_write_tokens, 0) + ?,
+        cost_usd = CASE WHEN ? IS NULL THEN cost_usd ELSE COALESCE(cost_usd, 0) + ? END
+      WHERE id = ?
+    `).run(model, input_tokens, output_tokens, cache_read_tokens, cache_write_tokens, cost_usd, cost_usd, id);
+  }
+
+  /**
+   * Record a turn OpenClaw ran on its own (cron, heartbeat, channel message)
+   * as a completed job with source 'openclaw', so budgets and `usage` count
+   * it. `at` is a SQLite datetime; `id` must be stable per turn — returns
+   * false if it was already recorded.
+   */
+  recordOpenClawTurn(id, workspaceId, agentSlug, at, { kind = null, sessionKey = null, usage }) {
+    const { changes } = this.db.prepare(`
+      INSERT OR IGNORE INTO jobs (id, workspace_id, agent_slug, status, context, source, created_at, started_at, updated_at)
+      VALUES (?, ?, ?, 'complete', ?, 'openclaw', ?, ?, ?)
+    `).run(id, workspaceId, agentSlug, JSON.stringify({ kind, session_key: sessionKey }), at, at, at);
+    if (changes) this.recordUsage(id, usage);
+    return changes > 0;
+  }
+
+  /** Whether a job this engine ran for `agentSlug` was in progress at `at` (give or take `slackSeconds`). */
+  engineJobAt(agentSlug, at, slackSeconds = 30) {
+    return !!this.db.prepare(`
+      SELECT 1 FROM jobs
+      WHERE agent_slug = ? AND source != 'openclaw' AND started_at IS NOT NULL
+        AND started_at <= datetime(?, '+' || ? || ' seconds')
+        AND updated_at >= datetime(?, '-' || ? || ' seconds')
+      LIMIT 1
+    `).get(agentSlug, at, slackSeconds, at, slackSeconds);
+  }
+
+  /**
+   * Token and cost totals per period and agent, newest period first.
+   * `period` is 'day' (YYYY-MM-DD) or 'week' (YYYY-Www, weeks start Monday).
+   */
+  usageSummary({ period = 'day', since = null, until = null, agent = null } = {}) {
+    const bucket = period === 'week' ? "strftime('%Y-W%W', created_at)" : 'date(created_at)';
+    const where = ['input_tokens IS NOT NULL'];
+    const params = [];
+    if (agent) { where.push('agent_slug = ?'); params.push(agent); }
+    if (since) { where.push('created_at >= ?'); params.push(since); }
+    if (until) { where.push('created_at <= ?'); params.push(until); }
+
+    return this.db.prepare(`
+      SELECT ${bucket} AS period, agent_slug,
+        COUNT(*) AS jobs,
+        SUM(input_tokens) AS input_tokens,
+        SUM(output_tokens) AS output_tokens,
+        SUM(cache_read_tokens) AS cache_read_tokens,
+        SUM(cache_write_tokens) AS cache_write_tokens,
+        ROUND(SUM(cost_usd), 6) AS cost_usd,
+        SUM(cost_usd IS NULL) AS unpriced_jobs
+      FROM jobs WHERE ${where.join(' AND ')}
+      GROUP BY period, agent_slug
+      ORDER BY period DESC, cost_usd DESC
+    `).all(...params);
+  }
+
+  /** Total cost_usd of jobs created at or after `since` (optionally one agent). */
+  spendSince(since, agent = null) {
+    const row = agent
+      ? this.db.prepare('SELECT COALESCE(SUM(cost_usd), 0) AS usd FROM jobs WHERE created_at >= ? AND agent_slug = ?').get(since, agent)
+      : this.db.prepare('SELECT COALESCE(SUM(cost_usd), 0) AS usd FROM jobs WHERE created_at >= ?').get(since);
+    return row.usd;
+  }
+
+  /** Number of agent turns started at or after `since` (optionally one agent). */
+  jobsStartedSince(since, agent = null) {
+    const row = agent
+      ? this.db.prepare('SELECT COUNT(*) AS n FROM jobs WHERE started_at >= ? AND agent_slug = ?').get(since, agent)
+      : this.db.prepare('SELECT COUNT(*) AS n FROM jobs WHERE started_at >= ?').get(since);
+    return row.n;
+  }
+
   getJob(id) {
     return this.db.prepare('SELECT * FROM jobs WHERE id = ?').get(id);
   }
 
+  getJobsByStatus(statuses) {
+    const placeholders = statuses.map(() => '?').join(', ');
+    return this.db.prepare(
+      `SELECT * FROM jobs WHERE status IN (${placeholders}) ORDER BY created_at`
+    ).all(...statuses);
+  }
+
+  /**
+   * Filtered job history, newest first. `since`/`until` are SQLite
+   * datetimes ('YYYY-MM-DD HH:MM:SS', UTC) compared against created_at.
+   */
+  listJobs({ agent = null, status = null, since = null, until = null, limit = 50 } = {}) {
+    const where = [];
+    const params = [];
+    if (agent) { where.push('agent_slug = ?'); params.push(agent); }
+    if (status) { where.push('status = ?'); params.push(status); }
+    if (since) { where.push('created_at >= ?'); params.push(since); }
+    if (until) { where.push('created_at <= ?'); params.push(until); }
+
+    const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    return this.db.prepare(
+      `SELECT * FROM jobs ${clause} ORDER BY created_at DESC, rowid DESC LIMIT ?`
+    ).all(...params, limit);
+  }
+
+  /** Jobs created or updated at or after `since` (for live tailing), oldest first. */
+  getJobsUpdatedSince(since) {
+    return this.db.prepare(
+      'SELECT * FROM jobs WHERE updated_at >= ? ORDER BY updated_at, rowid'
+    ).all(since);
+  }
+
   getRecentJobs(limit = 50) {
     return this.db.prepare('SELECT * FROM jobs ORDER BY created_at DESC LIMIT ?').all(limit);
   }
 
+  // --- Outbox (durable cloud messages) ---
+
+  /**
+   * Queue a message for at-least-once delivery. A message with the same
+   * dedupe key (e.g. the job ID) replaces the older one, so the cloud only
+   * ever receives the latest result for a job.
+   */
+  enqueueOutbox(id, type, payload, dedupeKey = null) {
+    const tx = this.db.transaction(() => {
+      if (dedupeKey) this.db.prepare('DELETE FROM outbox WHERE dedupe_key = ?').run(dedupeKey);
+      this.db.prepare(
+        'INSERT INTO outbox (id, type, dedupe_key, payload) VALUES (?, ?, ?, ?)'
+      ).run(id, type, dedupeKey, JSON.stringify(payload));
+    });
+    tx();
+  }
+
+  getOutbox(limit = 100) {
+    return this.db.prepare('SELECT * FROM outbox ORDER BY created_at, rowid LIMIT ?').all(limit)
+      .map(row => ({ ...row, payload: JSON.parse(row.payload) }));
+  }
+
+  /**
+   * Unacked messages due for a resend: never sent, or last sent at least
+   * `baseMs * 2^(attempts - 1)` (at most `maxMs`) ago.
+   */
+  getDueOutbox(baseMs, maxMs, limit = 100) {
+    return this.db.prepare(`
+      SELECT * FROM outbox
+      WHERE last_sent_at IS NULL
+         OR (julianday('now') - julianday(last_sent_at)) * 86400000 >= MIN(?, ? * (1 << MIN(MAX(attempts - 1, 0), 30)))
+      ORDER BY created_at, rowid LIMIT ?
+    `).all(maxMs, baseMs, limit)
+      .map(row => ({ ...row, payload: JSON.parse(row.payload) }));
+  }
+
+  /** Delete messages sent `maxAttempts` times or older than `maxAgeMs`; returns them (without payload). */
+  expireOutbox(maxAttempts, maxAgeMs) {
+    const where = "attempts >= ? OR (julianday('now') - julianday(created_at)) * 86400000 >= ?";
+    const tx = this.db.transaction(() => {
+      const rows = this.db.prepare(`SELECT id, type, dedupe_key, attempts, created_at FROM outbox WHERE ${where}`).all(maxAttempts, maxAgeMs);
+      if (rows.length) this.db.prepare(`DELETE FROM outbox WHERE ${where}`).run(maxAttempts, maxAgeMs);
+      return rows;
+    });
+    return tx();
+  }
+
+  markOutboxSent(id) {
+    this.db.prepare(
+      "UPDATE outbox SET attempts = attempts + 1, last_sent_at = datetime('now') WHERE id = ?"
+    ).run(id);
+  }
+
+  ackOutbox(id) {
+    return this.db.prepare('DELETE FROM outbox WHERE id = ?').run(id).changes > 0;
+  }
+
+  outboxDepth() {
+    return this.db.prepare('SELECT COUNT(*) AS n FROM outbox').get().n;
+  }
+
   // --- Memory ---
 
   remember(key, value) {
@@ -75,6 +310,16 @@ export class LocalDB {
     return row ? JSON.parse(row.value) : null;
   }
 
+  /** Delete every memory key starting with `prefix` except those in `keep`. */
+  forgetMemory(prefix, keep = () => false) {
+    const keys = this.db.prepare('SELECT key FROM memory WHERE substr(key, 1, ?) = ?')
+      .pluck().all(prefix.length, prefix);
+    const del = this.db.prepare('DELETE FROM memory WHERE key = ?');
+    const stale = keys.filter(key => !keep(key));
+    this.db.transaction(() => { for (const key of stale) del.run(key); })();
+    return stale.length;
+  }
+
   searchMemory(query) {
     return this.db.prepare(
       "SELECT * FROM memory WHERE key LIKE ? OR value LIKE ? ORDER BY updated_at DESC LIMIT 20"
@@ -97,5 +342,14 @@ export class LocalDB {
   }
 }
 
+/** Decode the JSON columns (input, output, context) of a jobs row. */
+export function decodeJobRow(row) {
+  const parse = (v) => {
+    if (v === null || v === undefined) return null;
+    try { return JSON.parse(v); } catch { return v; }
+  };
+  return { ...row, input: parse(row.input), output: parse(row.output), context: parse(row.context) };
+}
+
 // Re-export as Database for backward compat
 export { LocalDB as Database };
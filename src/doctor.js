@@ -0,0 +1,357 @@
+/**
+ * boltaclaw doctor
+ *
+ * Runs every check we used to do by hand when a runner misbehaves and
+ * reports pass / warn / fail (or skip) with a remediation hint. With
+ * `fix`, checks that have a safe repair (rewrite a generated file,
+ * install a missing tool) run it and check again.
+ *
+ * The report is plain JSON without secrets, so it can be attached to a
+ * support ticket as-is.
+ */
+
+import { execSync } from 'child_process';
+import { existsSync, mkdirSync, readdirSync, statSync } from 'fs';
+import { request } from 'https';
+import { join } from 'path';
+import WebSocket from 'ws';
+import { buildCronJobs, getAgentIds } from './agents.js';
+import { BOLTA_WS_URL, ENGINE_VERSION } from './bridge.js';
+import { checkLocalModel, getConfiguredProviders, getLocalModelSettings, isLocalOnly } from './models.js';
+import { getWebSocketOptions } from './network.js';
+
+const NETWORK_TIMEOUT_MS = 8000;
+
+/** Provider key checks: a cheap authenticated GET that answers 401 for a bad key. */
+const KEY_CHECKS = {
+  anthropic: {
+    keyName: 'ANTHROPIC_API_KEY',
+    url: 'https://api.anthropic.com/v1/models',
+    headers: (key) => ({ 'x-api-key': key, 'anthropic-version': '2023-06-01' }),
+  },
+  openai: {
+    keyName: 'OPENAI_API_KEY',
+    url: 'https://api.openai.com/v1/models',
+    headers: (key) => ({ Authorization: `Bearer ${key}` }),
+  },
+};
+
+const CHECKS = [
+  {
+    id: 'node',
+    label: 'Node.js',
+    run() {
+      const major = parseInt(process.versions.node, 10);
+      return major >= 18
+        ? pass(`v${process.versions.node}`)
+        : fail(`v${process.versions.node} is too old`, 'Install Node.js 18 or newer');
+    },
+  },
+  {
+    id: 'openclaw',
+    label: 'OpenClaw binary',
+    async run({ oc }) {
+      const { installed, version } = await oc.check();
+      return installed
+        ? pass(`${version} (${oc.openclawBin})`)
+        : fail('not installed', 'Run `boltaclaw start` (installs it) or `npm install -g openclaw`');
+    },
+    fix: ({ oc }) => oc.install(),
+  },
+  {
+    id: 'openclaw_config',
+    label: 'openclaw.json',
+    run({ oc, config }) {
+      if (!existsSync(oc.configPath)) return fail('missing', 'Run `boltaclaw start` to generate it');
+      const cfg = oc._readConfig();
+      if (!cfg) return fail('not valid JSON', 'Fix the file by hand, or let --fix regenerate it (a copy is kept)');
+
+      const problems = [];
+      if (!cfg.gateway?.auth?.token || cfg.gateway.auth.token !== config.get('gateway_token')) {
+        problems.push('gateway token does not match the engine');
+      }
+      const listed = new Set((cfg.agents?.list || []).map(a => a.id));
+      const missing = getAgentIds().filter(id => !listed.has(id));
+      if (missing.length) problems.push(`agents not registered: ${missing.join(', ')}`);
+
+      return problems.length
+        ? warn(problems.join('; '), 'Restart the engine, or run `boltaclaw doctor --fix`')
+        : pass(oc.configPath);
+    },
+    fix({ oc }) {
+      mkdirSync(oc.stateDir, { recursive: true });
+      oc._writeMainConfig();
+    },
+  },
+  {
+    id: 'auth_profiles',
+    label: 'Agent auth profiles',
+    run({ oc, config }) {
+      const providers = [...getConfiguredProviders(config)];
+      if (providers.length === 0) {
+        return fail('no model provider configured', 'Set ANTHROPIC_API_KEY (`boltaclaw secrets set ANTHROPIC_API_KEY`) or local_model_url');
+      }
+
+      const problems = [];
+      for (const slug of getAgentIds()) {
+        const path = join(oc.stateDir, 'agents', slug, 'agent', 'auth-profiles.json');
+        const profiles = oc._readJson(path);
+        if (!profiles) {
+          problems.push(`${slug}: missing`);
+          continue;
+        }
+        const absent = providers.filter(p => !profiles.profiles?.[`${p}:bolta`]);
+        if (absent.length) problems.push(`${slug}: no ${absent.join('/')} profile`);
+        if (process.platform !== 'win32' && (statSync(path).mode & 0o077)) problems.push(`${slug}: readable by other users`);
+      }
+
+      return problems.length
+        ? fail(problems.join('; '), 'Run `boltaclaw doctor --fix` to rewrite them')
+        : pass(`${getAgentIds().length} agents, providers: ${providers.join(', ')}`);
+    },
+    fix({ oc }) {
+      for (const slug of getAgentIds()) {
+        mkdirSync(join(oc.stateDir, 'agents', slug, 'agent'), { recursive: true });
+        oc._writeAuthProfiles(null, null, slug);
+      }
+    },
+  },
+  {
+    id: 'cron',
+    label: 'Cron schedules',
+    run({ oc }) {
+      const path = join(oc.stateDir, 'cron', 'jobs.json');
+      if (!existsSync(path)) return fail('cron/jobs.json missing', 'Run `boltaclaw doctor --fix`');
+      const jobs = oc._readJson(path);
+      if (!Array.isArray(jobs)) return fail('cron/jobs.json is not a JSON array', 'Run `boltaclaw doctor --fix` to rewrite it');
+
+      const key = (j) => `${j.agentId} ${j.schedule?.expr}`;
+      const present = new Set(jobs.filter(j => j._preset).map(key));
+      const missing = buildCronJobs().filter(j => !present.has(key(j))).map(j => j.agentId);
+      return missing.length
+        ? warn(`no schedule for: ${[...new Set(missing)].join(', ')}`, 'Run `boltaclaw doctor --fix`')
+        : pass(`${jobs.length} jobs (${jobs.filter(j => j.enabled === false).length} disabled)`);
+    },
+    fix: ({ oc }) => oc._configureCronJobs(),
+  },
+  {
+    id: 'gateway',
+    label: 'Gateway',
+    async run({ oc }) {
+      const { running } = await oc.gatewayStatus();
+      return running
+        ? pass(`listening on ${oc.getGatewayUrl()}`)
+        : warn(`nothing listening on ${oc.getGatewayUrl()}`, 'The gateway runs while `boltaclaw start` does — start the engine, or check `boltaclaw logs`');
+    },
+  },
+  {
+    id: 'mcporter',
+    label: 'mcporter (Bolta MCP tools)',
+    run({ oc }) {
+      const configured = existsSync(join(oc.workspaceDir, 'config', 'mcporter.json'));
+      if (!commandExists('mcporter')) return warn('not installed — agents have no Bolta tools', 'Run `npm install -g mcporter` or `boltaclaw doctor --fix`');
+      if (!configured) return warn('installed but not configured', 'Run `boltaclaw doctor --fix`');
+      return pass('installed and configured');
+    },
+    fix: ({ oc }) => oc._configureMCP(),
+  },
+  {
+    id: 'skills',
+    label: 'bolta-skills',
+    run({ oc, config }) {
+      const dirs = [oc.skillsDir, config.get('skills_dir'), join(config.dataDir, 'skills-git')].filter(Boolean);
+      const found = dirs.find(d => existsSync(d) && readdirSync(d).length > 0);
+      return found ? pass(found) : warn('not installed', 'Run `boltaclaw update` or `boltaclaw doctor --fix`');
+    },
+    fix: ({ oc }) => oc._installSkills(),
+  },
+  {
+    id: 'database',
+    label: 'SQLite database',
+    run({ config }) {
+      const result = config._db.db.pragma('integrity_check', { simple: true });
+      return result === 'ok'
+        ? pass(config._db.dbPath)
+        : fail(`integrity check: ${result}`, 'Stop the engine and restore boltaclaw.sqlite from a backup');
+    },
+  },
+  {
+    id: 'secrets',
+    label: 'Stored secrets',
+    run({ config }) {
+      const rows = config.secrets.list();
+      const broken = rows.filter(r => r.preview?.startsWith('(cannot decrypt'));
+      const plain = rows.filter(r => !r.encrypted);
+      if (broken.length) {
+        return fail(`cannot decrypt: ${broken.map(r => r.key).join(', ')}`, config.secrets.mode() === 'passphrase'
+          ? 'Set the right BOLTACLAW_PASSPHRASE'
+          : `Restore the key file ${config.secrets.keyFile}, or re-enter the secrets with \`boltaclaw secrets set\``);
+      }
+      if (plain.length) return warn(`stored in plaintext: ${plain.map(r => r.key).join(', ')}`, 'Run `boltaclaw doctor --fix`');
+      return pass(`${rows.length} encrypted (${config.secrets.mode()})`);
+    },
+    fix: ({ config }) => config.secrets.migrate(),
+  },
+  {
+    id: 'cloud',
+    label: 'Bolta Cloud',
+    async run({ config }) {
+      const rejected = config.get('auth_rejected');
+      if (rejected) {
+        return fail(`runner key rejected: ${JSON.parse(rejected).reason}`, 'Run `boltaclaw reauth --token <new install token>`');
+      }
+      if (!config.get('runner_key') && !config.get('install_token')) {
+        return fail('no runner key or install token', 'Run `boltaclaw setup` or `boltaclaw start --token <token>`');
+      }
+      const error = await probeWebSocket(BOLTA_WS_URL, config);
+      return error
+        ? fail(`cannot reach ${BOLTA_WS_URL}: ${error}`, 'Check the network, or set https_proxy / ca_bundle (see README → Corporate Proxies)')
+        : pass(`${BOLTA_WS_URL} reachable`);
+    },
+  },
+  {
+    id: 'api_keys',
+    label: 'Model API keys',
+    async run({ config }) {
+      const results = [];
+      let status = 'pass';
+      let hint = null;
+      const worst = (s, h) => {
+        if (s === 'fail' || (s === 'warn' && status === 'pass')) {
+          status = s;
+          hint = h;
+        }
+      };
+
+      for (const [provider, check] of Object.entries(KEY_CHECKS)) {
+        const key = config.get(check.keyName);
+        if (!key || isLocalOnly(config)) continue;
+        const res = await httpsGet(check.url, check.headers(key), config);
+        if (res.error) {
+          worst('warn', 'Check the network and proxy settings (see README → Corporate Proxies)');
+          results.push(`${provider}: could not check (${res.error})`);
+        } else if (res.status === 401 || res.status === 403) {
+          worst('fail', `Replace the key with \`boltaclaw secrets set ${check.keyName}\`, then restart the engine`);
+          results.push(`${provider}: key rejected (HTTP ${res.status})`);
+        } else {
+          results.push(`${provider}: ok`);
+        }
+      }
+
+      if (getLocalModelSettings(config)) {
+        const local = await checkLocalModel(config);
+        if (!local.ok) worst('warn', 'Start the local model server, or fix local_model_url');
+        results.push(`local: ${local.ok ? `ok (${local.models.length} models)` : local.error}`);
+      }
+
+      if (results.length === 0) return skip('no keys configured');
+      return { status, message: results.join('; '), hint };
+    },
+  },
+];
+
+/**
+ * Run all checks. `oc` is an OpenClawManager for `config`.
+ * Returns { version, generated_at, platform, node, data_dir, state_dir, checks, summary }.
+ */
+export async function runDoctor(config, oc, { fix = false, onCheck = null } = {}) {
+  const ctx = { config, oc };
+  const checks = [];
+
+  for (const check of CHECKS) {
+    let result = await runCheck(check, ctx);
+    let fixed = false;
+
+    if (fix && check.fix && (result.status === 'fail' || result.status === 'warn')) {
+      try {
+        await check.fix(ctx);
+        const after = await runCheck(check, ctx);
+        fixed = after.status === 'pass';
+        result = after;
+      } catch (err) {
+        result = { ...result, message: `${result.message} (fix failed: ${err.message})` };
+      }
+    }
+
+    const entry = { id: check.id, label: check.label, ...result, fixable: !!check.fix, fixed };
+    checks.push(entry);
+    onCheck?.(entry);
+  }
+
+  const summary = { pass: 0, warn: 0, fail: 0, skip: 0 };
+  for (const c of checks) summary[c.status]++;
+
+  return {
+    version: ENGINE_VERSION,
+    generated_at: new Date().toISOString(),
+    platform: `${process.platform}-${process.arch}`,
+    node: process.versions.node,
+    data_dir: config.dataDir,
+    state_dir: oc.stateDir,
+    checks,
+    summary,
+  };
+}
+
+async function runCheck(check, ctx) {
+  try {
+    return await check.run(ctx);
+  } catch (err) {
+    return fail(`check crashed: ${err.message}`, null);
+  }
+}
+
+function pass(message) {
+  return { status: 'pass', message, hint: null };
+}
+
+function warn(message, hint) {
+  return { status: 'warn', message, hint };
+}
+
+function fail(message, hint) {
+  return { status: 'fail', message, hint };
+}
+
+function skip(message) {
+  return { status: 'skip', message, hint: null };
+}
+
+function commandExists(cmd) {
+  try {
+    execSync(process.platform === 'win32' ? `where ${cmd}` : `which ${cmd} 2>/dev/null`, { stdio: 'pipe', timeout: 3000 });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Open (and immediately close) a socket to the cloud endpoint. Resolves an error string or null. */
+function probeWebSocket(url, config) {
+  return new Promise((resolve) => {
+    const ws = new WebSocket(url, { ...getWebSocketOptions(url, config), handshakeTimeout: NETWORK_TIMEOUT_MS });
+    ws.on('open', () => {
+      ws.close(1000, 'doctor');
+      resolve(null);
+    });
+    ws.on('unexpected-response', (_req, res) => {
+      // The server answered — reachable, even if it wants something else first
+      ws.terminate();
+      resolve(res.statusCode >= 500 ? `HTTP ${res.statusCode}` : null);
+    });
+    ws.on('error', (err) => resolve(err.code || err.message));
+  });
+}
+
+/** GET through the same proxy / CA settings the engine uses. Resolves { status } or { error }. */
+function httpsGet(url, headers, config) {
+  return new Promise((resolve) => {
+    const req = request(url, { method: 'GET', headers, ...getWebSocketOptions(url, config), timeout: NETWORK_TIMEOUT_MS }, (res) => {
+      res.resume();
+      resolve({ status: res.statusCode });
+    });
+    req.on('timeout', () => req.destroy(new Error('timed out')));
+    req.on('error', (err) => resolve({ error: err.code || err.message }));
+    req.end();
+  });
+}
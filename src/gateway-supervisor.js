@@ -0,0 +1,245 @@
+/**
+ * Gateway supervisor
+ *
+ * `boltaclaw start` runs the OpenClaw gateway as a child process. The
+ * supervisor keeps it alive:
+ *   - health check every `gateway_health_interval_ms` (default 15s): a
+ *     gateway whose port stops answering for 3 checks in a row is restarted
+ *   - a gateway that exits is restarted with exponential backoff
+ *     (1s → 60s), reset once it has stayed up for a minute
+ *   - stdout/stderr go to <dataDir>/logs/gateway.log, rotated at
+ *     `gateway_log_max_bytes` (default 10 MB), keeping `gateway_log_files`
+ *     old files (default 5)
+ *
+ * States, emitted as `state` (state, previous):
+ *   starting — launching (first start or a restart)
+ *   up       — port answers
+ *   down     — exited or unresponsive; a restart is scheduled
+ *   stopped  — supervision ended (engine shutting down)
+ *
+ * The bridge holds queued jobs while the gateway is not `up` and reports
+ * health() in its heartbeat.
+ */
+
+import { EventEmitter } from 'events';
+import { closeSync, existsSync, fstatSync, mkdirSync, openSync, renameSync, rmSync, writeSync } from 'fs';
+import { join } from 'path';
+
+const DEFAULT_HEALTH_INTERVAL_MS = 15_000;
+const MAX_MISSED_HEALTH_CHECKS = 3;
+const RESTART_BASE_DELAY_MS = 1000;
+const RESTART_MAX_DELAY_MS = 60_000;
+const STABLE_AFTER_MS = 60_000; // Up this long → the next crash starts the backoff over
+const DEFAULT_LOG_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_LOG_FILES = 5;
+
+export class GatewaySupervisor extends EventEmitter {
+  constructor(config, ocManager, opts = {}) {
+    super();
+    this.config = config;
+    this.oc = ocManager;
+    this.verbose = opts.verbose || false;
+    this.healthInterval = parseInt(opts.healthInterval || config.get('gateway_health_interval_ms') || DEFAULT_HEALTH_INTERVAL_MS, 10);
+
+    this.state = 'stopped';
+    this.since = Date.now();
+    this.child = null;
+    this.missedChecks = 0;
+    this.restartAttempt = 0;
+    this.restarts = 0;
+    this.lastExit = null; // { code, signal, at }
+    this.lastError = null;
+    this.healthTimer = null;
+    this.restartTimer = null;
+    this.upTimer = null;
+
+    this.log = new RotatingLog(join(config.dataDir, 'logs', 'gateway.log'), {
+      maxBytes: parseInt(config.get('gateway_log_max_bytes') || DEFAULT_LOG_MAX_BYTES, 10),
+      files: parseInt(config.get('gateway_log_files') || DEFAULT_LOG_FILES, 10),
+    });
+  }
+
+  /** Start the gateway and begin supervising it. Rejects if the first start fails. */
+  async start() {
+    this.oc.gatewayLog = this.log;
+    this._setState('starting');
+    this.log.note('starting gateway');
+    try {
+      await this.oc.startGateway();
+    } catch (err) {
+      this.lastError = err.message;
+      this._setState('stopped');
+      throw err;
+    }
+    this._watch();
+    this._setState('up');
+    this.healthTimer = setInterval(() => this._check(), this.healthInterval);
+    this.healthTimer.unref?.();
+  }
+
+  async stop() {
+    if (this.healthTimer) clearInterval(this.healthTimer);
+    if (this.restartTimer) clearTimeout(this.restartTimer);
+    if (this.upTimer) clearTimeout(this.upTimer);
+    this.healthTimer = this.restartTimer = this.upTimer = null;
+    this._setState('stopped');
+    await this.oc.stopGateway();
+    this.log.note('gateway stopped');
+    this.log.close();
+  }
+
+  isUp() {
+    return this.state === 'up';
+  }
+
+  /** Snapshot for the heartbeat, control API and status CLI. */
+  health() {
+    return {
+      state: this.state,
+      since: new Date(this.since).toISOString(),
+      pid: this.oc.gatewayProcess?.pid || null,
+      restarts: this.restarts,
+      last_exit: this.lastExit,
+      last_error: this.lastError,
+      log_file: this.log.path,
+    };
+  }
+
+  /** Follow the current child's exit (the manager swaps it on reloads). */
+  _watch() {
+    const child = this.oc.gatewayProcess;
+    if (!child || child === this.child) return;
+    this.child = child;
+
+    child.once('exit', (code, signal) => {
+      // stopGateway() clears gatewayProcess first — an exit we asked for
+      if (this.state === 'stopped' || this.oc.gatewayProcess !== child) return;
+      this.lastExit = { code, signal, at: new Date().toISOString() };
+      this.log.note(`gateway exited (code=${code}, signal=${signal})`);
+      console.error(`  ⚠ OpenClaw gateway exited (code=${code}${signal ? `, signal=${signal}` : ''})`);
+      this.oc.gatewayProcess = null;
+      this._down();
+    });
+  }
+
+  async _check() {
+    // Bridge-initiated reload in progress, or already restarting
+    if (this.oc.gatewayRestarting || this.state !== 'up') return;
+
+    const { running } = await this.oc.gatewayStatus();
+    this._watch();
+    if (running) {
+      this.missedChecks = 0;
+      return;
+    }
+
+    this.missedChecks++;
+    if (this.missedChecks >= MAX_MISSED_HEALTH_CHECKS) {
+      this.log.note(`gateway unresponsive (${this.missedChecks} failed health checks)`);
+      console.error(`  ⚠ OpenClaw gateway not answering (${this.missedChecks} failed health checks)`);
+      this._down();
+    }
+  }
+
+  _down() {
+    if (this.state === 'down' || this.state === 'stopped') return;
+    if (this.upTimer) clearTimeout(this.upTimer);
+    this._setState('down');
+    this._scheduleRestart();
+  }
+
+  _scheduleRestart() {
+    const delay = Math.min(RESTART_MAX_DELAY_MS, RESTART_BASE_DELAY_MS * 2 ** this.restartAttempt);
+    this.restartAttempt++;
+    console.log(`  🔁 Restarting gateway in ${Math.round(delay / 1000)}s (attempt ${this.restartAttempt})`);
+
+    this.restartTimer = setTimeout(async () => {
+      this.restartTimer = null;
+      if (this.state === 'stopped') return;
+
+      this._setState('starting');
+      this.log.note(`restarting gateway (attempt ${this.restartAttempt})`);
+      try {
+        await this.oc.stopGateway(); // Clear out a hung process still holding the port
+        await this.oc.startGateway();
+      } catch (err) {
+        this.lastError = err.message;
+        this.log.note(`restart failed: ${err.message}`);
+        console.error(`  ❌ Gateway restart failed: ${err.message.split('\n')[0]}`);
+        if (this.state === 'stopped') return;
+        this._setState('down');
+        this._scheduleRestart();
+        return;
+      }
+      if (this.state === 'stopped') return;
+
+      this.restarts++;
+      this.missedChecks = 0;
+      this._watch();
+      this._setState('up');
+      console.log('  ✅ Gateway restarted');
+
+      // Only a gateway that stays up earns a fresh backoff
+      this.upTimer = setTimeout(() => { this.restartAttempt = 0; }, STABLE_AFTER_MS);
+      this.upTimer.unref?.();
+    }, delay);
+  }
+
+  _setState(state) {
+    if (state === this.state) return;
+    const previous = this.state;
+    this.state = state;
+    this.since = Date.now();
+    this.emit('state', state, previous);
+  }
+}
+
+/**
+ * Append-only log file that rotates by size: gateway.log → gateway.log.1
+ * → ... → gateway.log.<files>, oldest dropped. Synchronous writes keep the
+ * order of interleaved stdout/stderr chunks.
+ */
+class RotatingLog {
+  constructor(path, { maxBytes, files }) {
+    this.path = path;
+    this.maxBytes = maxBytes;
+    this.files = files;
+    this.fd = null;
+    this.size = 0;
+  }
+
+  write(chunk) {
+    try {
+      if (this.fd === null) this._open();
+      const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk));
+      writeSync(this.fd, buf);
+      this.size += buf.length;
+      if (this.size >= this.maxBytes) this._rotate();
+    } catch { /* logging must never take the engine down */ }
+  }
+
+  /** A supervisor event line, marked so it stands out from gateway output. */
+  note(message) {
+    this.write(`[${new Date().toISOString()}] [boltaclaw] ${message}\n`);
+  }
+
+  close() {
+    if (this.fd !== null) closeSync(this.fd);
+    this.fd = null;
+  }
+
+  _open() {
+    mkdirSync(join(this.path, '..'), { recursive: true });
+    this.fd = openSync(this.path, 'a', 0o600);
+    this.size = fstatSync(this.fd).size;
+  }
+
+  _rotate() {
+    this.close();
+    rmSync(`${this.path}.${this.files}`, { force: true });
+    for (let i = this.files - 1; i >= 1; i--) {
+      if (existsSync(`${this.path}.${i}`)) renameSync(`${this.path}.${i}`, `${this.path}.${i + 1}`);
+    }
+    renameSync(this.path, `${this.path}.1`);
+  }
+}
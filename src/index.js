@@ -4,4 +4,5 @@ export { Database } from './db.js';
 export { OpenClawManager } from './openclaw.js';
 export { WSClient } from './ws-client.js';
 export { setup } from './setup.js';
-export { AGENT_PRESETS, getAgentIds, getPreset } from './agents.js';
+export { AGENT_PRESETS, getAllAgents, getAgentIds, getPreset, resolveAgentId, normalizeAgentSlug, registerCustomAgents } from './agents.js';
+export { loadCustomAgents, validateAgentDefinition } from './custom-agents.js';
@@ -0,0 +1,219 @@
+/**
+ * Single-instance lock
+ *
+ * An engine owns two directories: its data dir (~/.boltaclaw — database,
+ * runner key) and OpenClaw's state dir (~/.openclaw-bolta — openclaw.json,
+ * cron jobs). Two engines sharing either would take the same jobs with the
+ * same runner key and keep rewriting each other's openclaw.json, so
+ * `Config.acquireInstanceLock()` takes an exclusive lock file in each.
+ * `boltaclaw start` does that before touching anything; `Bridge.connect()`
+ * makes sure of it for other embedders.
+ *
+ * <dir>/boltaclaw.pid holds JSON:
+ *   { pid, hostname, machine, started_at, heartbeat_at, command, data_dir }
+ *
+ * `machine` fingerprints the process's view of the system (hostname, boot
+ * id, PID namespace). A lock from the same machine is stale once its PID is
+ * gone. A lock from elsewhere — another container sharing the volume, or a
+ * previous boot — cannot be checked by PID, so the holder refreshes
+ * heartbeat_at every HEARTBEAT_MS and the lock goes stale STALE_AFTER_MS
+ * after the last one. Stale locks are taken over: moved aside atomically,
+ * checked, and replaced with an O_EXCL create, so of two engines racing
+ * for the same stale lock exactly one wins.
+ */
+
+import { closeSync, linkSync, mkdirSync, openSync, readFileSync, readlinkSync, renameSync, rmSync, statSync, writeFileSync, writeSync } from 'fs';
+import { hostname } from 'os';
+import { join } from 'path';
+
+export const LOCK_FILE = 'boltaclaw.pid';
+
+const HEARTBEAT_MS = 15_000;
+const STALE_AFTER_MS = 60_000;
+const HALF_WRITTEN_GRACE_MS = 5000;
+
+export class InstanceLock {
+  constructor(dir, { dataDir } = {}) {
+    this.dir = dir;
+    this.path = join(dir, LOCK_FILE);
+    this.dataDir = dataDir || dir;
+    this.info = null; // What we wrote, while held
+    this.heartbeatTimer = null;
+  }
+
+  get held() {
+    return this.info !== null;
+  }
+
+  /**
+   * Take the lock, or throw an Error with code 'ELOCKED' and `owner` (see
+   * owner()) when a live engine holds it. Released on process exit.
+   */
+  acquire() {
+    if (this.held) return;
+    mkdirSync(this.dir, { recursive: true });
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const now = new Date().toISOString();
+      const info = {
+        pid: process.pid,
+        hostname: hostname(),
+        machine: machineId(),
+        started_at: now,
+        heartbeat_at: now,
+        command: process.argv.slice(1).join(' '),
+        data_dir: this.dataDir,
+      };
+      try {
+        const fd = openSync(this.path, 'wx', 0o644);
+        writeSync(fd, JSON.stringify(info));
+        closeSync(fd);
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+        const owner = this.owner();
+        if (owner && !owner.stale) {
+          const err = new Error(`${this.dir} is in use by another engine: ${describeOwner(owner)}`);
+          err.code = 'ELOCKED';
+          err.owner = owner;
+          err.path = this.path;
+          throw err;
+        }
+        if (owner && this._removeStale(owner)) {
+          console.warn(`  ⚠️  Took over stale lock ${this.path} (${describeOwner(owner)})`);
+        }
+        continue;
+      }
+
+      // Someone who judged our brand-new file stale could have replaced it
+      this.info = info;
+      if (!this._isOurs()) {
+        this.info = null;
+        continue;
+      }
+      this._startHeartbeat();
+      process.once('exit', () => this.release());
+      return;
+    }
+    throw new Error(`Could not take the lock ${this.path} — another engine is starting`);
+  }
+
+  /**
+   * Remove the stale lock `owner` describes, and only that one: two engines
+   * may find the same stale lock, and the slower one must not delete the
+   * lock the faster one just created. Renaming is atomic, so we move the file
+   * aside, check it's what we judged stale, and put it back if it is not.
+   */
+  _removeStale(owner) {
+    const aside = `${this.path}.stale-${process.pid}-${Date.now()}`;
+    try {
+      renameSync(this.path, aside);
+    } catch (err) {
+      if (err.code === 'ENOENT') return false; // Someone else removed it first
+      throw err;
+    }
+
+    let moved = null;
+    try { moved = JSON.parse(readFileSync(aside, 'utf-8')); } catch { /* still unreadable */ }
+    const same = owner.pid
+      ? moved?.pid === owner.pid && moved?.machine === owner.machine && moved?.started_at === owner.started_at
+      : moved === null;
+    if (!same) {
+      // A fresh lock — restore it unless yet another one took its place
+      try { linkSync(aside, this.path); } catch { /* EEXIST: that one holds it now */ }
+    }
+    rmSync(aside, { force: true });
+    return same;
+  }
+
+  release() {
+    if (!this.held) return;
+    if (this.heartbeatTimer) clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    if (this._isOurs()) rmSync(this.path, { force: true });
+    this.info = null;
+  }
+
+  /**
+   * Current holder, or null if unlocked:
+   * { pid, hostname, started_at, heartbeat_at, command, data_dir, path,
+   *   local, alive, stale }
+   * `alive` is null when the PID cannot be checked from here.
+   */
+  owner() {
+    let info;
+    try {
+      info = JSON.parse(readFileSync(this.path, 'utf-8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      // Unreadable: being written by an engine starting right now, or a dead one's leftovers
+      let age = Infinity;
+      try { age = Date.now() - statSync(this.path).mtimeMs; } catch { /* gone meanwhile */ }
+      return { path: this.path, local: false, alive: null, stale: age >= HALF_WRITTEN_GRACE_MS };
+    }
+
+    const local = info.machine === machineId();
+    const alive = local ? isAlive(info.pid) : null;
+    const heartbeatAge = Date.now() - Date.parse(info.heartbeat_at || info.started_at);
+    const stale = local ? !alive : !(heartbeatAge < STALE_AFTER_MS);
+    return { ...info, path: this.path, local, alive, stale };
+  }
+
+  _startHeartbeat() {
+    this.heartbeatTimer = setInterval(() => {
+      // Someone took over a lock they thought stale (e.g. this process was suspended)
+      if (!this._isOurs()) {
+        console.error(`  ⚠️  Lost the instance lock ${this.path} to ${describeOwner(this.owner())}`);
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        return;
+      }
+      this.info.heartbeat_at = new Date().toISOString();
+      try {
+        writeFileSync(`${this.path}.tmp-${process.pid}`, JSON.stringify(this.info));
+        renameSync(`${this.path}.tmp-${process.pid}`, this.path);
+      } catch { /* next beat retries */ }
+    }, HEARTBEAT_MS);
+    this.heartbeatTimer.unref?.();
+  }
+
+  _isOurs() {
+    try {
+      const current = JSON.parse(readFileSync(this.path, 'utf-8'));
+      return current.machine === this.info.machine && current.pid === this.info.pid && current.started_at === this.info.started_at;
+    } catch {
+      return false;
+    }
+  }
+}
+
+/** "pid 123 on host-a (started …, `cli.js start`)" for error and status lines. */
+export function describeOwner(owner) {
+  if (!owner) return 'nobody';
+  if (!owner.pid) return `unreadable lock file ${owner.path}`;
+  const where = owner.local ? '' : ` on ${owner.hostname || 'another host'}${owner.hostname === hostname() ? ' (other container or boot)' : ''}`;
+  const heartbeat = owner.local ? '' : `, last heartbeat ${owner.heartbeat_at}`;
+  return `pid ${owner.pid}${where} (started ${owner.started_at}${heartbeat}${owner.command ? `, \`${owner.command}\`` : ''})`;
+}
+
+let cachedMachineId = null;
+
+/** hostname + boot id + PID namespace: processes with the same value can see each other's PIDs. */
+function machineId() {
+  if (cachedMachineId) return cachedMachineId;
+  const parts = [hostname()];
+  try { parts.push(readFileSync('/proc/sys/kernel/random/boot_id', 'utf-8').trim()); } catch { /* not Linux */ }
+  try { parts.push(readlinkSync('/proc/self/ns/pid')); } catch { /* not Linux */ }
+  cachedMachineId = parts.join('/');
+  return cachedMachineId;
+}
+
+/** Whether a PID on this machine is a running process. */
+export function isAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM'; // Exists, owned by another user
+  }
+}
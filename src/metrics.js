@@ -0,0 +1,192 @@
+/**
+ * Prometheus metrics for the runner.
+ *
+ * Serves `GET /metrics` in the Prometheus text format so self-hosted fleets
+ * can scrape and alert from their own Prometheus/Grafana stack.
+ *
+ * Exported series (all prefixed `boltaclaw_`):
+ *   jobs_total{agent,status}                — finished jobs (complete|failed|cancelled)
+ *   job_duration_seconds{agent,status}      — histogram of agent turn durations
+ *   jobs_active / jobs_queued               — current queue state
+ *   tokens_total{agent,type}                — tokens used (input|output|cache_read|cache_write)
+ *   cost_usd_total{agent}                   — spend computed from the price table
+ *   ws_reconnects_total                     — cloud WebSocket reconnects
+ *   ws_connected                            — 1 while the cloud connection is online
+ *   outbox_depth                            — unacknowledged messages in the outbox
+ *   gateway_up                              — 1 if the OpenClaw gateway port answers
+ *   process_* / nodejs_*                    — default process metrics (RSS, heap, CPU...)
+ *
+ * Bind address defaults to 127.0.0.1; set `metrics_host` to 0.0.0.0 to let
+ * a remote Prometheus scrape it. `metrics_token` adds bearer auth.
+ */
+
+import { createServer } from 'http';
+import client from 'prom-client';
+
+export const DEFAULT_METRICS_PORT = 9464;
+const JOB_DURATION_BUCKETS = [5, 15, 30, 60, 120, 180, 300, 600];
+
+export class Metrics {
+  constructor() {
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry, prefix: 'boltaclaw_' });
+
+    const registers = [this.registry];
+
+    this.jobsTotal = new client.Counter({
+      name: 'boltaclaw_jobs_total',
+      help: 'Finished jobs by agent and terminal status',
+      labelNames: ['agent', 'status'],
+      registers,
+    });
+
+    this.jobDuration = new client.Histogram({
+      name: 'boltaclaw_job_duration_seconds',
+      help: 'Agent turn duration by agent and terminal status',
+      labelNames: ['agent', 'status'],
+      buckets: JOB_DURATION_BUCKETS,
+      registers,
+    });
+
+    this.tokensTotal = new client.Counter({
+      name: 'boltaclaw_tokens_total',
+      help: 'Tokens used by agent turns, by agent and token type',
+      labelNames: ['agent', 'type'],
+      registers,
+    });
+
+    this.costTotal = new client.Counter({
+      name: 'boltaclaw_cost_usd_total',
+      help: 'Estimated spend in USD by agent (from the price table)',
+      labelNames: ['agent'],
+      registers,
+    });
+
+    this.wsReconnects = new client.Counter({
+      name: 'boltaclaw_ws_reconnects_total',
+      help: 'Reconnects of the Bolta Cloud WebSocket',
+      registers,
+    });
+
+    this.bridge = null;
+    const metrics = this;
+
+    new client.Gauge({
+      name: 'boltaclaw_jobs_active',
+      help: 'Agent turns currently running',
+      registers,
+      collect() { this.set(metrics.bridge?.activeJobs.size ?? 0); },
+    });
+
+    new client.Gauge({
+      name: 'boltaclaw_jobs_queued',
+      help: 'Jobs waiting for a free concurrency slot',
+      registers,
+      collect() { this.set(metrics.bridge?.pendingJobs.length ?? 0); },
+    });
+
+    new client.Gauge({
+      name: 'boltaclaw_ws_connected',
+      help: '1 while the Bolta Cloud connection is online',
+      registers,
+      collect() { this.set(metrics.bridge?.ws?.state === 'online' ? 1 : 0); },
+    });
+
+    new client.Gauge({
+      name: 'boltaclaw_outbox_depth',
+      help: 'Messages waiting for a cloud acknowledgement',
+      registers,
+      collect() { this.set(metrics.bridge ? metrics.bridge.db.outboxDepth() : 0); },
+    });
+
+    new client.Gauge({
+      name: 'boltaclaw_gateway_up',
+      help: '1 if the local OpenClaw gateway is reachable',
+      registers,
+      async collect() {
+        const status = metrics.bridge ? await metrics.bridge.ocManager.gatewayStatus() : { running: false };
+        this.set(status.running ? 1 : 0);
+      },
+    });
+  }
+
+  /** Start reading live state from a connected bridge. */
+  bind(bridge) {
+    this.bridge = bridge;
+    bridge.on('reconnected', () => this.wsReconnects.inc());
+  }
+
+  /** Record a finished job. Called by the bridge. */
+  observeJob(agentSlug, status, durationMs) {
+    this.jobsTotal.inc({ agent: agentSlug, status });
+    if (durationMs !== null && durationMs !== undefined) {
+      this.jobDuration.observe({ agent: agentSlug, status }, durationMs / 1000);
+    }
+  }
+
+  /** Record a turn's token usage and cost. Called by the bridge. */
+  observeUsage(agentSlug, usage) {
+    for (const type of ['input', 'output', 'cache_read', 'cache_write']) {
+      const n = usage[`${type}_tokens`];
+      if (n) this.tokensTotal.inc({ agent: agentSlug, type }, n);
+    }
+    if (usage.cost_usd) this.costTotal.inc({ agent: agentSlug }, usage.cost_usd);
+  }
+}
+
+export class MetricsServer {
+  constructor(config, metrics, opts = {}) {
+    this.config = config;
+    this.metrics = metrics;
+    this.port = parseInt(opts.port || config.get('metrics_port') || DEFAULT_METRICS_PORT, 10);
+    this.host = opts.host || config.get('metrics_host') || '127.0.0.1';
+    this.server = null;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = createServer((req, res) => {
+        this._handle(req, res).catch((err) => {
+          res.writeHead(500, { 'Content-Type': 'text/plain' });
+          res.end(`# metrics collection failed: ${err.message}\n`);
+        });
+      });
+
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise((resolve) => this.server.close(() => resolve()));
+    this.server = null;
+  }
+
+  getUrl() {
+    return `http://${this.host}:${this.port}/metrics`;
+  }
+
+  async _handle(req, res) {
+    const path = req.url.split('?')[0];
+    if (req.method !== 'GET' || path !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+      return;
+    }
+
+    const token = this.config.get('metrics_token');
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      res.writeHead(401, { 'Content-Type': 'text/plain' });
+      res.end('Unauthorized\n');
+      return;
+    }
+
+    const body = await this.metrics.registry.metrics();
+    res.writeHead(200, { 'Content-Type': this.metrics.registry.contentType });
+    res.end(body);
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Model selection
+ *
+ * Which model each agent runs on, and what OpenClaw falls back to when that
+ * model errors or is rate-limited. Resolution per agent (first match wins):
+ *
+ *   1. agent_models[slug]      — local config, JSON map of slug → model or
+ *                                { primary, fallbacks }
+ *   2. agent definition model  — custom agent file or dashboard setting
+ *   3. default_model           — local config
+ *   4. DEFAULT_MODEL
+ *
+ * Fallbacks come from the agent_models entry, else `model_fallbacks`
+ * (comma-separated). Fallbacks on a provider without credentials are dropped
+ * — OpenClaw would only fail over into another error.
+ *
+ * The `local` provider is any OpenAI-compatible server on this host (Ollama,
+ * vLLM, llama.cpp server): `local_model_url` + `local_models`, used as
+ * `local/<model>`. With `local_only=true` every agent is forced onto it and
+ * hosted providers are never configured.
+ */
+
+export const DEFAULT_MODEL = 'anthropic/claude-sonnet-4-5';
+
+/** Chat providers the engine can write credentials for, and the config key holding each key. */
+export const MODEL_PROVIDERS = {
+  anthropic: { keyName: 'ANTHROPIC_API_KEY', label: 'Anthropic' },
+  openai: { keyName: 'OPENAI_API_KEY', label: 'OpenAI' },
+  // No key required — "configured" means an endpoint URL is set
+  local: { keyName: 'local_model_url', label: 'Local OpenAI-compatible server' },
+};
+
+export const LOCAL_PROVIDER = 'local';
+
+/** Provider part of "provider/model". */
+export function modelProvider(model) {
+  return String(model || '').split('/')[0];
+}
+
+/** True when content must never leave this host (`local_only=true`). */
+export function isLocalOnly(config) {
+  return config.get('local_only') === 'true';
+}
+
+/** Providers that have credentials configured (only `local` in local-only mode). */
+export function getConfiguredProviders(config) {
+  return new Set(
+    Object.entries(MODEL_PROVIDERS)
+      .filter(([id, p]) => config.get(p.keyName) && (id === LOCAL_PROVIDER || !isLocalOnly(config)))
+      .map(([id]) => id)
+  );
+}
+
+/** Local server settings, or null if none is configured. */
+export function getLocalModelSettings(config) {
+  const baseUrl = config.get('local_model_url');
+  if (!baseUrl) return null;
+  return {
+    baseUrl: baseUrl.replace(/\/+$/, ''),
+    // OpenClaw wants a key for every provider; Ollama & co. ignore it
+    apiKey: config.get('local_model_api_key') || 'local',
+    models: parseList(config.get('local_models')),
+  };
+}
+
+/** `models.providers.local` entry for openclaw.json, or null. */
+export function buildLocalProvider(config) {
+  const local = getLocalModelSettings(config);
+  if (!local) return null;
+  return {
+    baseUrl: local.baseUrl,
+    apiKey: local.apiKey,
+    api: 'openai-completions',
+    models: local.models.map(id => ({ id, name: id })),
+  };
+}
+
+/**
+ * Ask the local server which models it serves (GET <url>/models).
+ * Returns { ok, models, error }.
+ */
+export async function checkLocalModel(config, { timeout = 3000 } = {}) {
+  const local = getLocalModelSettings(config);
+  if (!local) return { ok: false, models: [], error: 'local_model_url not set' };
+
+  try {
+    const res = await fetch(`${local.baseUrl}/models`, {
+      headers: { Authorization: `Bearer ${local.apiKey}` },
+      signal: AbortSignal.timeout(timeout),
+    });
+    if (!res.ok) return { ok: false, models: [], error: `HTTP ${res.status}` };
+    const body = await res.json();
+    return { ok: true, models: (body.data || body.models || []).map(m => m.id || m.name).filter(Boolean) };
+  } catch (err) {
+    return { ok: false, models: [], error: err.cause?.code || err.message };
+  }
+}
+
+/** Workspace-wide default: { primary, fallbacks }. */
+export function getDefaultModel(config) {
+  const primary = config.get('default_model') || DEFAULT_MODEL;
+  return enforceLocalOnly(config, {
+    primary,
+    fallbacks: usableFallbacks(config, parseList(config.get('model_fallbacks')), primary),
+  });
+}
+
+/** Model chain for one agent: { primary, fallbacks }. */
+export function resolveAgentModel(config, slug, agent = {}) {
+  const local = readAgentModels(config)[slug];
+  const entry = typeof local === 'string' ? { primary: local } : (local || {});
+  const primary = entry.primary || agent.model || config.get('default_model') || DEFAULT_MODEL;
+  const fallbacks = entry.fallbacks
+    ? parseList(entry.fallbacks)
+    : parseList(config.get('model_fallbacks'));
+
+  return enforceLocalOnly(config, { primary, fallbacks: usableFallbacks(config, fallbacks, primary) });
+}
+
+/**
+ * Problems worth telling the user about before the gateway starts: agents
+ * whose primary model is on a provider without a key.
+ */
+export function checkAgentModels(config, agents) {
+  const configured = getConfiguredProviders(config);
+  const warnings = [];
+  const local = getLocalModelSettings(config);
+  if (local && !local.models.length) warnings.push('local_model_url is set but local_models is empty');
+  if (isLocalOnly(config) && !local) warnings.push('local_only is set but local_model_url is not — agents have no model');
+
+  for (const [slug, agent] of Object.entries(agents)) {
+    const { primary } = resolveAgentModel(config, slug, agent);
+    const provider = modelProvider(primary);
+    const known = MODEL_PROVIDERS[provider];
+    if (known && !configured.has(provider)) {
+      warnings.push(`${slug} uses ${primary} but ${known.keyName} is not set`);
+    }
+  }
+  return warnings;
+}
+
+/** In local-only mode, keep only local models in the chain; default to the first local model. */
+function enforceLocalOnly(config, chain) {
+  if (!isLocalOnly(config)) return chain;
+
+  const local = [chain.primary, ...chain.fallbacks].filter(m => modelProvider(m) === LOCAL_PROVIDER);
+  const fallbackModel = getLocalModelSettings(config)?.models[0];
+  const primary = local[0] || (fallbackModel ? `${LOCAL_PROVIDER}/${fallbackModel}` : chain.primary);
+  return { primary, fallbacks: local.filter(m => m !== primary) };
+}
+
+function readAgentModels(config) {
+  try {
+    const map = JSON.parse(config.get('agent_models') || '{}');
+    return map && typeof map === 'object' ? map : {};
+  } catch {
+    return {};
+  }
+}
+
+function usableFallbacks(config, models, primary) {
+  const configured = getConfiguredProviders(config);
+  return models.filter((m) => {
+    if (m === primary) return false;
+    const provider = modelProvider(m);
+    return !MODEL_PROVIDERS[provider] || configured.has(provider);
+  });
+}
+
+function parseList(value) {
+  if (Array.isArray(value)) return value.filter(Boolean);
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
@@ -0,0 +1,113 @@
+/**
+ * Outbound network settings for corporate environments.
+ *
+ * Resolves the egress proxy and an extra CA bundle (for TLS-inspecting
+ * proxies) once, and hands them to everything that talks to the internet:
+ *   - the Bolta Cloud WebSocket (agent + ca options for `ws`)
+ *   - child processes — openclaw, mcporter, npm — via env vars
+ *
+ * Settings (config key or env var, env wins):
+ *   - https_proxy / HTTPS_PROXY (falls back to http_proxy / HTTP_PROXY)
+ *   - no_proxy / NO_PROXY — comma-separated hosts, `.suffix` domains or `*`
+ *   - ca_bundle / BOLTACLAW_CA_BUNDLE — PEM file added to the default CAs
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { rootCertificates } from 'tls';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+
+/** Resolve proxy + CA settings from config/env. */
+export function getNetworkSettings(config) {
+  // Config.get already checks the exact and uppercased env var first
+  const get = (key) => config.get(key) || null;
+
+  return {
+    proxy: get('https_proxy') || get('http_proxy'),
+    noProxy: get('no_proxy'),
+    caBundle: get('ca_bundle') || get('BOLTACLAW_CA_BUNDLE') || null,
+  };
+}
+
+/** True if `targetUrl` matches a NO_PROXY entry and should connect directly. */
+export function shouldBypassProxy(targetUrl, noProxy) {
+  if (!noProxy) return false;
+
+  let host;
+  let port;
+  try {
+    const url = new URL(targetUrl);
+    host = url.hostname.toLowerCase();
+    port = url.port || (url.protocol === 'wss:' || url.protocol === 'https:' ? '443' : '80');
+  } catch {
+    return false;
+  }
+
+  return noProxy.split(',').map(e => e.trim().toLowerCase()).filter(Boolean).some((entry) => {
+    if (entry === '*') return true;
+
+    const [entryHost, entryPort] = entry.split(':');
+    if (entryPort && entryPort !== port) return false;
+
+    const bare = entryHost.replace(/^\*?\./, '');
+    return host === bare || host.endsWith(`.${bare}`);
+  });
+}
+
+/**
+ * Extra options for `new WebSocket(url, opts)`: a proxy agent when one
+ * applies to `url`, and the extra CA bundle appended to Node's defaults.
+ */
+export function getWebSocketOptions(url, config) {
+  const { proxy, noProxy, caBundle } = getNetworkSettings(config);
+  const opts = {};
+
+  const ca = readCABundle(caBundle);
+  if (ca) opts.ca = ca;
+
+  if (proxy && !shouldBypassProxy(url, noProxy)) {
+    opts.agent = new HttpsProxyAgent(proxy, ca ? { ca } : {});
+  }
+
+  return opts;
+}
+
+/**
+ * Env vars that make child processes (npm, openclaw, mcporter) use the same
+ * proxy and CA bundle. Merged into OpenClawManager._env().
+ */
+export function getNetworkEnv(config) {
+  const { proxy, noProxy, caBundle } = getNetworkSettings(config);
+  const env = {};
+
+  if (proxy) {
+    env.HTTPS_PROXY = proxy;
+    env.HTTP_PROXY = proxy;
+    env.npm_config_https_proxy = proxy;
+    env.npm_config_proxy = proxy;
+    // Node 24+ fetch honors HTTP(S)_PROXY only when asked to
+    env.NODE_USE_ENV_PROXY = '1';
+  }
+  // Loopback (gateway, local model server) never goes through the proxy
+  const bypass = proxy ? [noProxy, 'localhost', '127.0.0.1', '::1'].filter(Boolean).join(',') : noProxy;
+  if (bypass) {
+    env.NO_PROXY = bypass;
+    env.npm_config_noproxy = bypass;
+  }
+  if (caBundle && existsSync(caBundle)) {
+    env.NODE_EXTRA_CA_CERTS = caBundle;
+    env.npm_config_cafile = caBundle;
+  }
+
+  return env;
+}
+
+function readCABundle(path) {
+  if (!path) return null;
+  try {
+    // Keep Node's built-in roots — the bundle adds to them, it doesn't replace them
+    return [...rootCertificates, readFileSync(path, 'utf-8')];
+  } catch (err) {
+    console.error(`  ⚠ Could not read CA bundle ${path}: ${err.message}`);
+    return null;
+  }
+}
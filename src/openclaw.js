@@ -5,12 +5,14 @@
  *
  * OpenClaw directory structure (using --profile bolta):
  *   ~/.openclaw-bolta/
- *     openclaw.json          — main config (gateway, models, channels, agents, skills, plugins)
+ *     openclaw.json          — main config (gateway, models, channels, agents, skills, plugins);
+ *                              channel tokens as ${ENV} references, filled in by _env()
+ *     boltaclaw-managed.json — what BoltaClaw last wrote to openclaw.json (merge base, secrets as digests)
  *     agents/
  *       bolta/
  *         agent/
  *           auth.json          — empty {} (keys in auth-profiles)
- *           auth-profiles.json — API key profiles (anthropic, openai, etc.)
+ *           auth-profiles.json — API key profiles (anthropic, openai, etc.) — env refs, no keys
  *           models.json        — model overrides per agent
  *         sessions/            — session history (jsonl per session)
  *     workspaces/
@@ -27,24 +29,50 @@
  *     logs/                   — gateway logs
  */
 
-import { execSync, spawn } from 'child_process';
-import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { execFile, execSync, spawn } from 'child_process';
+import { chmodSync, copyFileSync, existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
 import { join, dirname } from 'path';
 import chalk from 'chalk';
-import { AGENT_PRESETS, getAgentIds, buildCronJobs } from './agents.js';
+import { getAllAgents, getAgentIds, buildCronJobs, resolveAgentId, unknownAgentMessage, registerCustomAgents, setAgentOverrides } from './agents.js';
+import { getCustomAgentsDir, loadCustomAgents } from './custom-agents.js';
+import { normalizeCloudAgents } from './cloud-agents.js';
+import {
+  buildLocalProvider, checkAgentModels, getConfiguredProviders, getDefaultModel, getLocalModelSettings,
+  isLocalOnly, resolveAgentModel,
+} from './models.js';
+import { addUsage, parseAgentEvent, parseAgentResult, resultEvents } from './agent-events.js';
+import { describeChange, mergeConfig, redactSecrets, restoreSecrets } from './config-merge.js';
+import { getNetworkEnv } from './network.js';
 
 const OPENCLAW_NPM_PACKAGE = 'openclaw';
 const BOLTA_SKILLS_CLAWHUB_SLUG = 'MaxFritzhand/bolta-skills-index';
 const BOLTA_SKILLS_REPO = 'https://github.com/boltaai/bolta-skills.git';
 const BOLTA_MCP_URL = 'https://mcp.bolta.ai/mcp';
 const BOLTA_API_URL = 'https://platty.boltathread.com/api/v1';
+const AGENT_MAX_OUTPUT_BYTES = 10 * 1024 * 1024;
+const AGENT_KILL_GRACE_MS = 5000;
+
+// auth-profiles.json points at these env vars instead of holding the keys;
+// _env() fills them in from the (encrypted) config for every openclaw process
+const PROVIDER_KEY_ENV = {
+  anthropic: 'ANTHROPIC_API_KEY',
+  openai: 'OPENAI_API_KEY',
+  local: 'BOLTACLAW_LOCAL_MODEL_API_KEY',
+};
+
+// Likewise the channel tokens: openclaw.json holds `${NAME}` references,
+// which OpenClaw substitutes from the environment when it loads the config
+const CHANNEL_TOKENS = ['TELEGRAM_BOT_TOKEN', 'SLACK_BOT_TOKEN', 'SLACK_APP_TOKEN'];
 
 export class OpenClawManager {
   constructor(config, opts = {}) {
     this.config = config;
     this.verbose = opts.verbose || false;
     this.gatewayProcess = null;
+    this.gatewayLog = null; // { write(chunk) } — gateway output sink, see gateway-supervisor.js
+    this.gatewayRestarting = false;
     this.openclawBin = null;
+    this.streamJsonProbe = null; // Promise<boolean>, see probeStreamJson()
 
     // Use OpenClaw's --profile system for isolation
     this.profileName = 'bolta';
@@ -53,21 +81,78 @@ export class OpenClawManager {
       `.openclaw-${this.profileName}`
     );
     this.configPath = join(this.stateDir, 'openclaw.json');
+    this.managedConfigPath = join(this.stateDir, 'boltaclaw-managed.json');
     this.workspaceDir = join(this.stateDir, 'workspaces', 'bolta');
     this.agentDir = join(this.stateDir, 'agents', 'bolta');
     this.skillsDir = join(this.workspaceDir, 'skills');
     this.credentialsDir = join(this.stateDir, 'credentials');
+
+    this.customAgentErrors = [];
+    this.pausedAgents = this._loadPausedAgents(); // Cron runs held back by budget caps ('*' = all)
+    this.loadCustomAgents();
+    this._loadCloudAgentOverrides();
+  }
+
+  /**
+   * (Re)load user-defined agents from <dataDir>/agents and register them
+   * alongside the presets. Invalid definitions are kept in customAgentErrors.
+   */
+  loadCustomAgents() {
+    const { agents, errors } = loadCustomAgents(getCustomAgentsDir(this.config));
+    registerCustomAgents(agents);
+    this.customAgentErrors = errors;
+    return { agents, errors };
   }
 
-  /** Get the env vars needed for all openclaw commands. */
+  /** Apply the last dashboard agent settings we stored (see cloud-agents.js). */
+  _loadCloudAgentOverrides() {
+    let raw = null;
+    try {
+      raw = JSON.parse(this.config.get('cloud_agents') || 'null');
+    } catch { /* corrupt value — ignore until the next sync */ }
+
+    const { overrides, warnings } = normalizeCloudAgents(raw);
+    setAgentOverrides(overrides);
+    return warnings;
+  }
+
+  /**
+   * Get the env vars needed for all openclaw commands (and npm/mcporter),
+   * including proxy and CA bundle settings from network.js.
+   */
   _env() {
     return {
       ...process.env,
+      ...getNetworkEnv(this.config),
+      ...this._secretEnv(),
       OPENCLAW_STATE_DIR: this.stateDir,
       OPENCLAW_CONFIG_PATH: this.configPath,
     };
   }
 
+  /**
+   * Secrets OpenClaw reads from the environment: provider API keys (env refs
+   * in auth-profiles.json, see _writeAuthProfiles) and channel tokens
+   * (`${NAME}` in openclaw.json, see _channelConfig).
+   */
+  _secretEnv() {
+    const secrets = {
+      [PROVIDER_KEY_ENV.anthropic]: () => this.config.get('ANTHROPIC_API_KEY'),
+      [PROVIDER_KEY_ENV.openai]: () => this.config.get('OPENAI_API_KEY'),
+      [PROVIDER_KEY_ENV.local]: () => getLocalModelSettings(this.config)?.apiKey,
+    };
+    for (const name of CHANNEL_TOKENS) secrets[name] = () => this.config.get(name);
+
+    const env = {};
+    for (const [name, read] of Object.entries(secrets)) {
+      try {
+        const value = read();
+        if (value) env[name] = value;
+      } catch { /* secrets locked (no passphrase) — openclaw reports the missing key or token */ }
+    }
+    return env;
+  }
+
   /** Run an openclaw CLI command, return stdout. */
   _exec(args, { timeout = 30000, throwOnError = true } = {}) {
     const bin = this.openclawBin || 'openclaw';
@@ -127,6 +212,7 @@ export class OpenClawManager {
       // Use npm install with explicit save to ensure it gets added
       execSync(`npm install --save ${OPENCLAW_NPM_PACKAGE}@latest`, {
         cwd: this.stateDir,
+        env: this._env(),
         stdio: 'inherit',
         timeout: 120000,
       });
@@ -136,6 +222,7 @@ export class OpenClawManager {
 
     // Find the binary
     const localBin = join(this.stateDir, 'node_modules', '.bin', 'openclaw');
+    this.streamJsonProbe = null;
     if (existsSync(localBin)) {
       this.openclawBin = localBin;
       return;
@@ -154,8 +241,9 @@ export class OpenClawManager {
   async update() {
     console.log(chalk.blue('  Updating OpenClaw...'));
     try {
-      execSync(`npm update -g ${OPENCLAW_NPM_PACKAGE}`, { stdio: 'inherit', timeout: 120000 });
+      execSync(`npm update -g ${OPENCLAW_NPM_PACKAGE}`, { env: this._env(), stdio: 'inherit', timeout: 120000 });
       console.log(chalk.green('  ✓ OpenClaw updated'));
+      this.streamJsonProbe = null;
     } catch (err) {
       console.error(chalk.red(`  ✗ Update failed: ${err.message}`));
     }
@@ -171,6 +259,15 @@ export class OpenClawManager {
    * Creates: config file, agent dirs, workspace files, auth profiles, skills.
    */
   async configure({ port = 18789, anthropicKey = null, openaiKey = null } = {}) {
+    // Pick up custom agents added since the manager was created
+    const custom = this.loadCustomAgents();
+    for (const { source, errors } of custom.errors) {
+      console.log(chalk.yellow(`  ⚠ Skipping custom agent ${source}: ${errors.join('; ')}`));
+    }
+    if (Object.keys(custom.agents).length) {
+      console.log(chalk.green(`  ✓ ${Object.keys(custom.agents).length} custom agent(s): ${Object.keys(custom.agents).join(', ')}`));
+    }
+
     // Create directory structure — one workspace shared by all agents,
     // but each agent gets its own agent dir for auth/sessions
     const dirs = [
@@ -182,7 +279,7 @@ export class OpenClawManager {
       join(this.stateDir, 'cron'),
     ];
 
-    // Create agent dirs for all 8 agents
+    // Create agent dirs for every agent (presets + custom)
     for (const slug of getAgentIds()) {
       const agentBase = join(this.stateDir, 'agents', slug);
       dirs.push(agentBase, join(agentBase, 'agent'), join(agentBase, 'sessions'));
@@ -192,8 +289,11 @@ export class OpenClawManager {
       mkdirSync(dir, { recursive: true });
     }
 
-    // 1. Write main OpenClaw config (all 8 agents registered)
-    this._writeMainConfig(port);
+    // 1. Merge our settings into the main OpenClaw config (every agent registered)
+    for (const warning of checkAgentModels(this.config, getAllAgents())) {
+      console.log(chalk.yellow(`  ⚠ ${warning}`));
+    }
+    this._reportConfigChanges(this._writeMainConfig(port));
 
     // 2. Write auth profiles for each agent (shared API keys)
     for (const slug of getAgentIds()) {
@@ -226,21 +326,76 @@ export class OpenClawManager {
     }
   }
 
-  _writeMainConfig(port) {
-    const gatewayToken = this._generateToken();
+  /**
+   * Write openclaw.json as a three-way merge of what we wrote last time,
+   * what we want now and what is on disk (see config-merge.js), so hand
+   * edits and `openclaw config set` survive restarts. The gateway token is
+   * kept across runs. Returns { created, changes }.
+   */
+  _writeMainConfig(port = parseInt(this.config.get('gateway_port') || '18789', 10)) {
+    const existing = this._readConfig();
+    if (!existing && existsSync(this.configPath)) {
+      // Unparseable — keep a copy rather than silently discarding the user's file
+      const backup = `${this.configPath}.bak-${Date.now()}`;
+      copyFileSync(this.configPath, backup);
+      console.log(chalk.yellow(`  ⚠ openclaw.json was not valid JSON — saved a copy to ${backup}`));
+    }
+
+    const gatewayToken = this.config.get('gateway_token') || existing?.gateway?.auth?.token || this._generateToken();
+    const ours = this._managedConfig(port, gatewayToken);
+    const base = restoreSecrets(this._readJson(this.managedConfigPath), ours, existing);
+    const { config, changes } = mergeConfig(base, ours, existing || {});
+
+    // agents.list is ours, but agents someone registered by hand stay
+    const ownIds = new Set([...ours.agents.list, ...(base?.agents?.list || [])].map(a => a.id));
+    const userAgents = (existing?.agents?.list || []).filter(a => !ownIds.has(a.id));
+    if (userAgents.length) {
+      config.agents.list = [...config.agents.list, ...userAgents];
+      if (JSON.stringify(config.agents.list) === JSON.stringify(existing.agents.list)) {
+        changes.splice(changes.findIndex(c => c.path === 'agents.list'), 1);
+      }
+    }
+
+    // Store gateway token for bridge access
+    this.config.set('gateway_token', gatewayToken);
+    this.config.set('gateway_port', String(port));
+
+    writeFileSync(this.configPath, JSON.stringify(config, null, 2), { mode: 0o600 });
+    chmodSync(this.configPath, 0o600);
+    writeFileSync(this.managedConfigPath, JSON.stringify(redactSecrets(ours), null, 2), { mode: 0o600 });
+
+    return { created: !existing, changes: changes.filter(c => c.path !== 'meta') };
+  }
 
-    const config = {
+  _reportConfigChanges({ created, changes }) {
+    if (created) {
+      console.log(chalk.green(`  ✓ Created ${this.configPath}`));
+      return;
+    }
+    if (changes.length === 0) {
+      if (this.verbose) console.log(chalk.gray('  openclaw.json unchanged'));
+      return;
+    }
+    console.log(chalk.green(`  ✓ openclaw.json updated (${changes.length} change${changes.length === 1 ? '' : 's'})`));
+    for (const change of changes) {
+      console.log(chalk.gray(`      ${describeChange(change)}`));
+    }
+  }
+
+  /** Everything BoltaClaw sets in openclaw.json. */
+  _managedConfig(port, gatewayToken) {
+    const { channels, plugins } = this._channelConfig();
+
+    return {
       meta: {
         lastTouchedVersion: '0.1.0-boltaclaw',
         lastTouchedAt: new Date().toISOString(),
       },
-      auth: { profiles: {} },
-      models: { providers: {} },
+      auth: { profiles: this._authProfileRefs() },
+      models: { providers: this._modelProviders() },
       agents: {
         defaults: {
-          model: {
-            primary: 'anthropic/claude-sonnet-4-5',
-          },
+          model: getDefaultModel(this.config),
           workspace: this.workspaceDir,
           contextPruning: {
             mode: 'cache-ttl',
@@ -257,10 +412,7 @@ export class OpenClawManager {
             maxConcurrent: 8,
           },
         },
-        list: getAgentIds().map(slug => ({
-          id: slug,
-          model: { primary: 'anthropic/claude-sonnet-4-5' },
-        })),
+        list: this._agentList(),
       },
       messages: {
         ackReactionScope: 'group-mentions',
@@ -270,7 +422,7 @@ export class OpenClawManager {
         nativeSkills: 'auto',
         restart: true,
       },
-      channels: {},
+      channels,
       gateway: {
         port,
         mode: 'local',
@@ -282,19 +434,95 @@ export class OpenClawManager {
         trustedProxies: ['127.0.0.1'],
       },
       skills: {
-        entries: {},
-      },
-      plugins: {
-        slots: {},
-        entries: {},
+        // Bolta MCP tools (see _configureMCP)
+        entries: { mcporter: { enabled: true } },
       },
+      plugins,
     };
+  }
 
-    // Store gateway token for bridge access
-    this.config.set('gateway_token', gatewayToken);
-    this.config.set('gateway_port', String(port));
+  /**
+   * Pause (or resume) the scheduled runs of agents over a budget cap.
+   * Rewrites cron/jobs.json when the set changes; returns true if it did,
+   * so the caller can reload the gateway.
+   */
+  setPausedAgents(slugs) {
+    const next = new Set(slugs);
+    const same = next.size === this.pausedAgents.size && [...next].every(s => this.pausedAgents.has(s));
+    if (same) return false;
+
+    this.pausedAgents = next;
+    // Persisted, so a restart (or `doctor --fix`) doesn't re-enable them before the next budget check
+    this.config.set('budget_paused_agents', JSON.stringify([...next]));
+    if (existsSync(this.configPath)) this._configureCronJobs();
+    return true;
+  }
+
+  _loadPausedAgents() {
+    try {
+      const saved = JSON.parse(this.config.get('budget_paused_agents') || '[]');
+      return new Set(Array.isArray(saved) ? saved : []);
+    } catch {
+      return new Set();
+    }
+  }
+
+  /**
+   * OpenClaw's session list (`openclaw sessions --all-agents --json`),
+   * limited to sessions updated in the last `activeMinutes`. Each entry has
+   * { key, agentId, kind, updatedAt, inputTokens, outputTokens, model,
+   * modelProvider } — the token counts are the session's latest run.
+   * Resolves null when the CLI is unavailable or fails.
+   */
+  listSessions({ activeMinutes } = {}) {
+    const args = ['--profile', this.profileName, 'sessions', '--all-agents', '--json', '--limit', 'all'];
+    if (activeMinutes) args.push('--active', String(Math.ceil(activeMinutes)));
+
+    return new Promise((resolve) => {
+      execFile(this.openclawBin || 'openclaw', args, {
+        encoding: 'utf-8',
+        env: this._env(),
+        timeout: 60000,
+        maxBuffer: 20 * 1024 * 1024,
+      }, (err, stdout) => {
+        if (err) {
+          if (this.verbose) console.error(chalk.yellow(`  ⚠ openclaw sessions failed: ${err.message.split('\n')[0]}`));
+          resolve(null);
+          return;
+        }
+        try {
+          const data = JSON.parse(stdout);
+          resolve(Array.isArray(data.sessions) ? data.sessions : []);
+        } catch {
+          resolve(null);
+        }
+      });
+    });
+  }
+
+  /** agents.list entries: each agent's primary model and fallback chain (see models.js). */
+  _agentList() {
+    return Object.entries(getAllAgents()).map(([slug, agent]) => ({
+      id: slug,
+      model: resolveAgentModel(this.config, slug, agent),
+    }));
+  }
 
-    writeFileSync(this.configPath, JSON.stringify(config, null, 2));
+  /** models.providers in openclaw.json — custom endpoints (built-in providers need no entry). */
+  _modelProviders() {
+    const providers = {};
+    const local = buildLocalProvider(this.config);
+    if (local) providers.local = local;
+    return providers;
+  }
+
+  /** auth.profiles in openclaw.json — which provider profiles exist (keys live in auth-profiles.json). */
+  _authProfileRefs() {
+    const refs = {};
+    for (const provider of getConfiguredProviders(this.config)) {
+      refs[`${provider}:bolta`] = { provider, mode: 'api_key' };
+    }
+    return refs;
   }
 
   _writeAuthProfiles(anthropicKey, openaiKey, agentSlug = null) {
@@ -310,29 +538,42 @@ export class OpenClawManager {
       profiles = JSON.parse(readFileSync(authProfilesPath, 'utf-8'));
     } catch { /* fresh install */ }
 
+    // Local-only: hosted providers must not be usable at all
+    const localOnly = isLocalOnly(this.config);
+    if (localOnly) {
+      for (const provider of ['anthropic', 'openai']) {
+        delete profiles.profiles[`${provider}:bolta`];
+        delete profiles.lastGood[provider];
+      }
+    }
+
     // Anthropic key (BYOK)
-    const key = anthropicKey || this.config.get('ANTHROPIC_API_KEY');
+    const key = !localOnly && (anthropicKey || this.config.get('ANTHROPIC_API_KEY'));
     if (key) {
-      profiles.profiles['anthropic:bolta'] = {
-        type: 'api_key',
-        provider: 'anthropic',
-        key,
-      };
+      profiles.profiles['anthropic:bolta'] = keyProfile('anthropic');
       profiles.lastGood['anthropic'] = 'anthropic:bolta';
     }
 
-    // OpenAI key (optional, for embeddings/whisper/dalle)
-    const oaiKey = openaiKey || this.config.get('OPENAI_API_KEY');
+    // OpenAI key (optional — chat models for agents set to openai/*, plus embeddings)
+    const oaiKey = !localOnly && (openaiKey || this.config.get('OPENAI_API_KEY'));
     if (oaiKey) {
-      profiles.profiles['openai:bolta'] = {
-        type: 'api_key',
-        provider: 'openai',
-        key: oaiKey,
-      };
+      profiles.profiles['openai:bolta'] = keyProfile('openai');
       profiles.lastGood['openai'] = 'openai:bolta';
     }
 
-    writeFileSync(authProfilesPath, JSON.stringify(profiles, null, 2));
+    // Local OpenAI-compatible server (Ollama, vLLM, llama.cpp)
+    const local = getLocalModelSettings(this.config);
+    if (local) {
+      profiles.profiles['local:bolta'] = keyProfile('local');
+      profiles.lastGood['local'] = 'local:bolta';
+    } else {
+      delete profiles.profiles['local:bolta'];
+      delete profiles.lastGood['local'];
+    }
+
+    // No keys in here any more, but older versions wrote them — keep it private
+    writeFileSync(authProfilesPath, JSON.stringify(profiles, null, 2), { mode: 0o600 });
+    chmodSync(authProfilesPath, 0o600);
 
     // Also write auth.json (must exist, can be empty)
     const authPath = join(agentBase, 'agent', 'auth.json');
@@ -346,7 +587,7 @@ export class OpenClawManager {
   _writeAgentWorkspaceFiles() {
     // Each agent gets their SOUL.md and HEARTBEAT.md in the shared workspace
     // under agent-specific subdirs, plus a models.json in their agent dir
-    for (const [slug, preset] of Object.entries(AGENT_PRESETS)) {
+    for (const [slug, preset] of Object.entries(getAllAgents())) {
       // Write SOUL.md into workspace/agents/<slug>/
       const agentWorkspace = join(this.workspaceDir, 'agents', slug);
       mkdirSync(agentWorkspace, { recursive: true });
@@ -361,7 +602,7 @@ export class OpenClawManager {
     }
 
     if (this.verbose) {
-      console.log(chalk.green(`  ✓ ${Object.keys(AGENT_PRESETS).length} agents configured with SOULs and heartbeats`));
+      console.log(chalk.green(`  ✓ ${getAgentIds().length} agents configured with SOULs and heartbeats`));
     }
   }
 
@@ -398,17 +639,11 @@ export class OpenClawManager {
       mcpConfig.servers.bolta.headers['X-Workspace-Id'] = workspaceId;
     }
 
+    // No proxy/CA fields here: mcporter runs under the gateway, which is
+    // spawned with _env() and so inherits HTTPS_PROXY / NODE_EXTRA_CA_CERTS
     writeFileSync(mcpConfigPath, JSON.stringify(mcpConfig, null, 2));
 
-    // Enable mcporter skill in OpenClaw config
-    let config;
-    try {
-      config = JSON.parse(readFileSync(this.configPath, 'utf-8'));
-    } catch { return; }
-
-    if (!config.skills) config.skills = { entries: {} };
-    config.skills.entries.mcporter = { enabled: true };
-    writeFileSync(this.configPath, JSON.stringify(config, null, 2));
+    // The mcporter skill itself is enabled in openclaw.json by _managedConfig()
 
     // Install mcporter globally if not present
     try {
@@ -416,6 +651,7 @@ export class OpenClawManager {
     } catch {
       try {
         execSync('npm install -g mcporter', {
+          env: this._env(),
           stdio: this.verbose ? 'inherit' : 'pipe',
           timeout: 60000,
         });
@@ -430,35 +666,46 @@ export class OpenClawManager {
     }
   }
 
-  _configureChannels() {
-    // Read current config
-    let config;
-    try {
-      config = JSON.parse(readFileSync(this.configPath, 'utf-8'));
-    } catch { return; }
-
-    let changed = false;
+  /** channels + plugins sections of openclaw.json for the configured chat channels. */
+  _channelConfig() {
+    const channels = {};
+    const plugins = { slots: {}, entries: {} };
 
     // Telegram — fully pre-configured for immediate use
     const tgToken = this.config.get('TELEGRAM_BOT_TOKEN');
     if (tgToken) {
-      const allowFrom = [];
-      // Add user's Telegram ID to allowlist
       const tgUserId = this.config.get('TELEGRAM_USER_ID');
-      if (tgUserId) allowFrom.push(tgUserId);
-
-      config.channels.telegram = {
-        botToken: tgToken,
+      const allowFrom = tgUserId ? [tgUserId] : [];
+      channels.telegram = {
+        botToken: '${TELEGRAM_BOT_TOKEN}',
         dmPolicy: allowFrom.length > 0 ? 'allowlist' : 'open',
         groupPolicy: 'allowlist',
         streaming: true,
         allowFrom,
       };
+      plugins.entries.telegram = { enabled: true };
+    }
 
-      // Enable telegram plugin
-      if (!config.plugins) config.plugins = { slots: {}, entries: {} };
-      config.plugins.entries.telegram = { enabled: true };
-      changed = true;
+    // Slack
+    const slackToken = this.config.get('SLACK_BOT_TOKEN');
+    if (slackToken) {
+      channels.slack = {
+        botToken: '${SLACK_BOT_TOKEN}',
+        appToken: this.config.get('SLACK_APP_TOKEN') ? '${SLACK_APP_TOKEN}' : '',
+      };
+    }
+
+    return { channels, plugins };
+  }
+
+  /** Channel credentials outside openclaw.json (the config entries come from _channelConfig). */
+  _configureChannels() {
+    const tgToken = this.config.get('TELEGRAM_BOT_TOKEN');
+    if (tgToken) {
+      const allowFrom = [];
+      // Add user's Telegram ID to allowlist
+      const tgUserId = this.config.get('TELEGRAM_USER_ID');
+      if (tgUserId) allowFrom.push(tgUserId);
 
       // Write Telegram credentials for OpenClaw's native channel system
       const tgCreds = join(this.credentialsDir, 'telegram-allowFrom.json');
@@ -470,20 +717,6 @@ export class OpenClawManager {
         console.log(chalk.green(`  ✓ Telegram configured${allowFrom.length ? ` (allowlist: ${allowFrom.join(', ')})` : ' (open DMs)'}`));
       }
     }
-
-    // Slack
-    const slackToken = this.config.get('SLACK_BOT_TOKEN');
-    if (slackToken) {
-      config.channels.slack = {
-        botToken: slackToken,
-        appToken: this.config.get('SLACK_APP_TOKEN') || '',
-      };
-      changed = true;
-    }
-
-    if (changed) {
-      writeFileSync(this.configPath, JSON.stringify(config, null, 2));
-    }
   }
 
   // ─── Cron Schedules ──────────────────────────────────────────────
@@ -491,7 +724,9 @@ export class OpenClawManager {
   _configureCronJobs() {
     // Build cron jobs from agent presets and write to cron dir
     const timezone = this.config.get('timezone') || 'America/New_York';
-    const cronJobs = buildCronJobs(timezone);
+    const cronJobs = buildCronJobs(timezone, {
+      modelFor: (slug, agent) => resolveAgentModel(this.config, slug, agent).primary,
+    });
 
     // OpenClaw stores cron jobs in the cron/ directory as individual JSON files
     const cronDir = join(this.stateDir, 'cron');
@@ -505,14 +740,16 @@ export class OpenClawManager {
       if (Array.isArray(existing)) existingJobs.push(...existing);
     } catch { /* fresh install */ }
 
-    // Merge: keep user-created jobs, replace preset-generated ones
+    // Merge: keep user-created jobs, replace preset-generated ones.
+    // Agents over a budget cap keep their entries but don't fire.
+    const paused = (slug) => this.pausedAgents.has('*') || this.pausedAgents.has(slug);
     const userJobs = existingJobs.filter(j => !j._preset);
-    const presetJobs = cronJobs.map(j => ({ ...j, _preset: true }));
+    const presetJobs = cronJobs.map(j => ({ ...j, enabled: j.enabled && !paused(j.agentId), _preset: true }));
 
     writeFileSync(cronConfigPath, JSON.stringify([...userJobs, ...presetJobs], null, 2));
 
     if (this.verbose) {
-      console.log(chalk.green(`  ✓ ${cronJobs.length} cron jobs configured for ${Object.keys(AGENT_PRESETS).length} agents`));
+      console.log(chalk.green(`  ✓ ${cronJobs.length} cron jobs configured for ${getAgentIds().length} agents`));
     }
   }
 
@@ -557,7 +794,7 @@ ${voiceProfile || 'Adapt to the brand voice configured in the workspace. Be prof
 `);
 
     // Build agent roster for AGENTS.md
-    const agentRoster = Object.entries(AGENT_PRESETS).map(([slug, p]) =>
+    const agentRoster = Object.entries(getAllAgents()).map(([slug, p]) =>
       `- **${p.emoji} ${p.name}** (\`${slug}\`) — ${p.tagline}`
     ).join('\n');
 
@@ -567,7 +804,7 @@ ${voiceProfile || 'Adapt to the brand voice configured in the workspace. Be prof
 - Running on self-hosted OpenClaw engine
 - Workspace ID: ${workspaceId}
 - Connected to Bolta Cloud via secure WebSocket bridge
-- ${Object.keys(AGENT_PRESETS).length} agents pre-configured and ready
+- ${getAgentIds().length} agents pre-configured and ready
 
 ## Your Team
 ${agentRoster}
@@ -703,7 +940,7 @@ To call any tool directly: \`mcporter call bolta.<tool-name> key=value\`
       // Install via clawhub into workspace skills dir
       execSync(
         `clawhub install ${BOLTA_SKILLS_CLAWHUB_SLUG} --dir "${this.skillsDir}" --no-input 2>/dev/null`,
-        { timeout: 60000, stdio: 'pipe' }
+        { env: this._env(), timeout: 60000, stdio: 'pipe' }
       );
       if (this.verbose) console.log(chalk.green('  ✓ bolta-skills installed via ClawHub'));
       return;
@@ -715,9 +952,10 @@ To call any tool directly: \`mcporter call bolta.<tool-name> key=value\`
     const gitSkillsDir = join(this.config.dataDir, 'skills-git');
     try {
       if (existsSync(join(gitSkillsDir, '.git'))) {
-        execSync(`cd "${gitSkillsDir}" && git pull --quiet`, { timeout: 30000, stdio: 'pipe' });
+        execSync(`cd "${gitSkillsDir}" && git pull --quiet`, { env: this._env(), timeout: 30000, stdio: 'pipe' });
       } else {
         execSync(`git clone --depth 1 ${BOLTA_SKILLS_REPO} "${gitSkillsDir}"`, {
+          env: this._env(),
           timeout: 60000,
           stdio: 'pipe',
         });
@@ -733,7 +971,7 @@ To call any tool directly: \`mcporter call bolta.<tool-name> key=value\`
     try {
       execSync(
         `clawhub update ${BOLTA_SKILLS_CLAWHUB_SLUG} --dir "${this.skillsDir}" --no-input 2>/dev/null`,
-        { timeout: 60000, stdio: 'pipe' }
+        { env: this._env(), timeout: 60000, stdio: 'pipe' }
       );
       console.log(chalk.green('  ✓ bolta-skills updated'));
     } catch {
@@ -741,7 +979,7 @@ To call any tool directly: \`mcporter call bolta.<tool-name> key=value\`
       const gitSkillsDir = join(this.config.dataDir, 'skills-git');
       if (existsSync(join(gitSkillsDir, '.git'))) {
         try {
-          execSync(`cd "${gitSkillsDir}" && git pull --quiet`, { timeout: 30000, stdio: 'pipe' });
+          execSync(`cd "${gitSkillsDir}" && git pull --quiet`, { env: this._env(), timeout: 30000, stdio: 'pipe' });
           console.log(chalk.green('  ✓ bolta-skills updated (git)'));
         } catch {
           console.log(chalk.yellow('  ⚠ Could not update bolta-skills'));
@@ -753,6 +991,8 @@ To call any tool directly: \`mcporter call bolta.<tool-name> key=value\`
   // ─── Gateway Lifecycle ──────────────────────────────────────────
 
   async startGateway() {
+    this.probeStreamJson();
+
     // Check if already running
     const status = await this.gatewayStatus();
     if (status.running) {
@@ -763,22 +1003,29 @@ To call any tool directly: \`mcporter call bolta.<tool-name> key=value\`
     return new Promise((resolve, reject) => {
       // Use openclaw gateway run (foreground) in a detached child
       const bin = this.openclawBin || 'openclaw';
-      this.gatewayProcess = spawn(
+      const captured = !!this.gatewayLog; // Set by GatewaySupervisor (rotating log files)
+      const child = spawn(
         bin,
         ['--profile', this.profileName, 'gateway', 'run', '--force'],
         {
           env: this._env(),
-          stdio: this.verbose ? 'inherit' : ['ignore', 'pipe', 'pipe'],
+          stdio: this.verbose && !captured ? 'inherit' : ['ignore', 'pipe', 'pipe'],
           detached: true,
         }
       );
+      this.gatewayProcess = child;
 
+      // Always drain the pipes — a full pipe buffer would block the gateway
       let stderr = '';
-      if (!this.verbose && this.gatewayProcess.stderr) {
-        this.gatewayProcess.stderr.on('data', (chunk) => {
-          stderr += chunk.toString();
-        });
-      }
+      child.stdout?.on('data', (chunk) => {
+        this.gatewayLog?.write(chunk);
+        if (this.verbose) process.stdout.write(chunk);
+      });
+      child.stderr?.on('data', (chunk) => {
+        stderr = (stderr + chunk.toString()).slice(-4096);
+        this.gatewayLog?.write(chunk);
+        if (this.verbose) process.stderr.write(chunk);
+      });
 
       // Wait for gateway to be ready (poll health)
       let attempts = 0;
@@ -795,12 +1042,12 @@ To call any tool directly: \`mcporter call bolta.<tool-name> key=value\`
         }
       }, 500);
 
-      this.gatewayProcess.on('error', (err) => {
+      child.on('error', (err) => {
         clearInterval(pollInterval);
         reject(new Error(`Gateway process error: ${err.message}`));
       });
 
-      this.gatewayProcess.on('exit', (code) => {
+      child.on('exit', (code) => {
         if (code && code !== 0) {
           clearInterval(pollInterval);
           reject(new Error(`Gateway exited with code ${code}. ${stderr}`));
@@ -808,7 +1055,7 @@ To call any tool directly: \`mcporter call bolta.<tool-name> key=value\`
       });
 
       // Unref so main process can exit
-      this.gatewayProcess.unref();
+      child.unref();
     });
   }
 
@@ -824,6 +1071,27 @@ To call any tool directly: \`mcporter call bolta.<tool-name> key=value\`
     } catch { /* already stopped */ }
   }
 
+  /**
+   * Restart a running gateway so it picks up rewritten openclaw.json and
+   * cron/jobs.json. No-op (returns false) if the gateway isn't running.
+   */
+  async reloadGateway() {
+    if (!(await this.gatewayStatus()).running) return false;
+
+    // Tells the supervisor this downtime is intended
+    this.gatewayRestarting = true;
+    try {
+      await this.stopGateway();
+      for (let i = 0; i < 20 && (await this.gatewayStatus()).running; i++) {
+        await new Promise((r) => setTimeout(r, 250));
+      }
+      await this.startGateway();
+    } finally {
+      this.gatewayRestarting = false;
+    }
+    return true;
+  }
+
   async gatewayStatus() {
     const port = this.config.get('gateway_port') || '18789';
 
@@ -858,58 +1126,184 @@ To call any tool directly: \`mcporter call bolta.<tool-name> key=value\`
    *
    * Uses `openclaw agent` which routes through the running gateway,
    * giving full access to tools, memory, skills, channels, etc.
+   *
+   * Runs as an async child process so the bridge keeps answering pings
+   * and sending heartbeats while the agent works. Never rejects — failures
+   * resolve to `{ success: false, error }`.
+   *
+   * Aborting `signal` kills the whole process group (openclaw may spawn its
+   * own children) and resolves to `{ success: false, cancelled: true }`.
+   *
+   * If `onEvent` is given it receives progress events (see agent-events.js):
+   * live with `--stream-json` on builds that support it, otherwise the tool
+   * summary from the result once the turn ends.
+   *
+   * Success resolves to `{ success, output, raw, usage, model }` — usage and
+   * model are null when this openclaw build doesn't report them.
    */
-  async executeAgentTurn(message, { agentSlug = 'hype-man', systemContext = '', timeout = 180000 } = {}) {
-    try {
-      const token = this.config.get('gateway_token') || '';
+  async executeAgentTurn(message, { agentSlug = null, systemContext = '', timeout = 180000, signal = null, onEvent = null } = {}) {
+    const token = this.config.get('gateway_token') || '';
+
+    // Route to the specific agent — each has their own SOUL and session.
+    // Never fall back to another persona for an unknown slug.
+    const agentId = resolveAgentId(agentSlug);
+    if (!agentId) {
+      return { success: false, error: unknownAgentMessage(agentSlug) };
+    }
 
-      // Route to the specific agent — each has their own SOUL and session
-      const agentId = getAgentIds().includes(agentSlug) ? agentSlug : 'hype-man';
+    const args = [
+      '--profile', this.profileName,
+      'agent',
+      '--agent', agentId,
+      '--message', message,
+      '--json',
+      '--timeout', String(Math.floor(timeout / 1000)),
+    ];
+    if (onEvent && await this.probeStreamJson()) args.push('--stream-json');
 
-      const args = [
-        '--profile', this.profileName,
-        'agent',
-        '--agent', agentId,
-        '--message', message,
-        '--json',
-        '--timeout', String(Math.floor(timeout / 1000)),
-      ];
+    return new Promise((resolve) => {
+      if (signal?.aborted) {
+        resolve({ success: false, cancelled: true, error: 'Cancelled before start' });
+        return;
+      }
 
       const agentBin = this.openclawBin || 'openclaw';
-      const cmd = `"${agentBin}" ` + args.map(a => {
-        // Escape the message properly
-        if (a.includes(' ') || a.includes('"') || a.includes("'") || a.includes('\n')) {
-          return JSON.stringify(a);
+      let child;
+      try {
+        child = spawn(agentBin, args, {
+          env: {
+            ...this._env(),
+            OPENCLAW_GATEWAY_TOKEN: token,
+            // Inject system context as an env var the agent can read
+            BOLTA_SYSTEM_CONTEXT: systemContext,
+          },
+          stdio: ['ignore', 'pipe', 'pipe'],
+          // Own process group, so a kill reaches everything the turn spawned
+          detached: process.platform !== 'win32',
+        });
+      } catch (err) {
+        resolve({ success: false, error: err.message });
+        return;
+      }
+
+      let stdout = '';
+      let stderr = '';
+      let lineBuf = '';
+      let timedOut = false;
+      let cancelled = false;
+      let settled = false;
+      let killTimer = null;
+      let streamedUsage = null;
+
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        clearTimeout(killTimer);
+        signal?.removeEventListener('abort', onAbort);
+        resolve(result);
+      };
+
+      const killTree = () => {
+        this._killProcessGroup(child, 'SIGTERM');
+        killTimer = setTimeout(() => this._killProcessGroup(child, 'SIGKILL'), AGENT_KILL_GRACE_MS);
+      };
+
+      const onAbort = () => {
+        cancelled = true;
+        killTree();
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      // Hard deadline on top of openclaw's own --timeout
+      const timer = setTimeout(() => {
+        timedOut = true;
+        killTree();
+      }, timeout);
+
+      let streamedEvents = 0;
+
+      const emit = (event) => {
+        try {
+          onEvent(event);
+        } catch (err) {
+          if (this.verbose) console.error(chalk.yellow(`  ⚠ onEvent handler failed: ${err.message}`));
         }
-        return a;
-      }).join(' ');
+      };
 
-      const result = execSync(cmd, {
-        encoding: 'utf-8',
-        env: {
-          ...this._env(),
-          OPENCLAW_GATEWAY_TOKEN: token,
-          // Inject system context as an env var the agent can read
-          BOLTA_SYSTEM_CONTEXT: systemContext,
-        },
-        timeout,
-        maxBuffer: 10 * 1024 * 1024,
+      const emitLine = (line) => {
+        const event = parseAgentEvent(line.trim());
+        if (!event) return;
+        streamedEvents++;
+        if (event.type === 'usage') streamedUsage = addUsage(streamedUsage, event);
+        emit(event);
+      };
+
+      child.stdout.on('data', (chunk) => {
+        const text = chunk.toString();
+        if (stdout.length < AGENT_MAX_OUTPUT_BYTES) stdout += text;
+        if (!onEvent || cancelled) return;
+
+        lineBuf += text;
+        let nl;
+        while ((nl = lineBuf.indexOf('\n')) !== -1) {
+          emitLine(lineBuf.slice(0, nl));
+          lineBuf = lineBuf.slice(nl + 1);
+        }
+      });
+      child.stderr.on('data', (chunk) => {
+        if (stderr.length < AGENT_MAX_OUTPUT_BYTES) stderr += chunk.toString();
       });
 
-      // Parse JSON output
-      try {
-        const data = JSON.parse(result);
-        return {
-          success: true,
-          output: data.reply || data.content || result.trim(),
-          raw: data,
-        };
-      } catch {
-        return { success: true, output: result.trim() };
-      }
-    } catch (err) {
-      return { success: false, error: err.message };
+      child.on('error', (err) => {
+        finish({ success: false, error: err.message });
+      });
+
+      child.on('close', (code, exitSignal) => {
+        if (cancelled) {
+          finish({ success: false, cancelled: true, error: 'Cancelled' });
+          return;
+        }
+        if (timedOut) {
+          finish({ success: false, error: `Agent turn timed out after ${Math.floor(timeout / 1000)}s` });
+          return;
+        }
+        if (code !== 0) {
+          const reason = stderr.trim() || stdout.trim() || (exitSignal ? `killed by ${exitSignal}` : `exit code ${code}`);
+          finish({ success: false, error: `openclaw agent failed: ${reason}` });
+          return;
+        }
+
+        if (onEvent && lineBuf) emitLine(lineBuf);
+
+        // Parse JSON output (single document or JSON lines); the final
+        // result's usage is the turn total, streamed events are the fallback
+        const result = parseAgentResult(stdout);
+        if (onEvent && streamedEvents === 0) {
+          for (const event of resultEvents(result.raw)) emit(event);
+        }
+        finish({ success: true, ...result, usage: result.usage || streamedUsage });
+      });
+    });
+  }
+
+  /**
+   * Whether this openclaw build streams turn events with `agent --stream-json`.
+   * Read once from `openclaw agent --help` — releases without the flag reject
+   * it and fail the turn. Started with the gateway so the first job rarely
+   * waits for it.
+   */
+  probeStreamJson() {
+    if (!this.streamJsonProbe) {
+      this.streamJsonProbe = new Promise((resolve) => {
+        execFile(this.openclawBin || 'openclaw', ['--profile', this.profileName, 'agent', '--help'], {
+          encoding: 'utf-8',
+          env: this._env(),
+          timeout: 15000,
+        }, (err, stdout) => resolve(!err && stdout.includes('--stream-json')));
+      });
     }
+    return this.streamJsonProbe;
   }
 
   // ─── Config Sync (from Bolta Cloud) ─────────────────────────────
@@ -917,9 +1311,11 @@ To call any tool directly: \`mcporter call bolta.<tool-name> key=value\`
   /**
    * Apply config pushed from Bolta Cloud.
    * Called by the Bridge when it receives a config_sync event.
+   * Returns { agentsChanged } — true when agent settings were rewritten and
+   * the gateway needs a reload to pick them up.
    */
   applyCloudConfig(cloudConfig) {
-    if (!cloudConfig) return;
+    if (!cloudConfig) return { agentsChanged: false };
 
     // Update voice profile → rewrite SOUL.md
     if (cloudConfig.voice_profile) {
@@ -928,9 +1324,21 @@ To call any tool directly: \`mcporter call bolta.<tool-name> key=value\`
       this._writeWorkspaceFiles();
     }
 
-    // Update agent presets
+    // Merge dashboard agent settings onto the presets and rewrite their files
+    let agentsChanged = false;
     if (cloudConfig.agents) {
-      this.config.set('cloud_agents', JSON.stringify(cloudConfig.agents));
+      const serialized = JSON.stringify(cloudConfig.agents);
+      agentsChanged = serialized !== this.config.get('cloud_agents');
+      this.config.set('cloud_agents', serialized);
+
+      const warnings = this._loadCloudAgentOverrides();
+      for (const w of warnings) console.log(chalk.yellow(`  ⚠ Cloud agent settings: ${w}`));
+
+      if (agentsChanged && existsSync(this.configPath)) {
+        this._writeAgentWorkspaceFiles();
+        this._reportConfigChanges(this._writeMainConfig());
+        this._configureCronJobs();
+      }
     }
 
     // Update user context → rewrite USER.md
@@ -962,10 +1370,23 @@ ${cloudConfig.accounts.map(a => `- **${a.platform}**: ${a.username || a.id} (${a
         writeFileSync(join(this.workspaceDir, 'TOOLS.md'), tools);
       } catch { /* workspace not ready yet */ }
     }
+
+    return { agentsChanged };
   }
 
   // ─── Utilities ──────────────────────────────────────────────────
 
+  /** Signal a detached child's whole process group, falling back to the child alone. */
+  _killProcessGroup(child, signal) {
+    if (child.exitCode !== null || child.signalCode !== null) return;
+    try {
+      if (process.platform === 'win32') throw new Error('no process groups');
+      process.kill(-child.pid, signal);
+    } catch {
+      try { child.kill(signal); } catch { /* already gone */ }
+    }
+  }
+
   _generateToken() {
     const bytes = new Uint8Array(24);
     crypto.getRandomValues(bytes);
@@ -973,8 +1394,12 @@ ${cloudConfig.accounts.map(a => `- **${a.platform}**: ${a.username || a.id} (${a
   }
 
   _readConfig() {
+    return this._readJson(this.configPath);
+  }
+
+  _readJson(path) {
     try {
-      return JSON.parse(readFileSync(this.configPath, 'utf-8'));
+      return JSON.parse(readFileSync(path, 'utf-8'));
     } catch {
       return null;
     }
@@ -985,3 +1410,12 @@ ${cloudConfig.accounts.map(a => `- **${a.platform}**: ${a.username || a.id} (${a
     return `ws://127.0.0.1:${port}`;
   }
 }
+
+/** auth-profiles.json entry whose key OpenClaw reads from the environment (PROVIDER_KEY_ENV). */
+function keyProfile(provider) {
+  return {
+    type: 'api_key',
+    provider,
+    keyRef: { source: 'env', provider: 'default', id: PROVIDER_KEY_ENV[provider] },
+  };
+}
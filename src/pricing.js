@@ -0,0 +1,59 @@
+/**
+ * Token prices
+ *
+ * USD per million tokens, keyed by "provider/model". `provider/*` matches
+ * any model of that provider. Override or extend with the `model_prices`
+ * config key (JSON in the same shape), e.g. when you have negotiated rates:
+ *
+ *   boltaclaw config set model_prices '{"anthropic/claude-sonnet-4-5":{"input":2.5,"output":12}}'
+ *
+ * Missing fields in an override fall back to the built-in price.
+ */
+
+export const DEFAULT_PRICES = {
+  'anthropic/claude-opus-4-1': { input: 15, output: 75, cache_read: 1.5, cache_write: 18.75 },
+  'anthropic/claude-sonnet-4-5': { input: 3, output: 15, cache_read: 0.3, cache_write: 3.75 },
+  'anthropic/claude-haiku-4-5': { input: 1, output: 5, cache_read: 0.1, cache_write: 1.25 },
+  'openai/gpt-4o': { input: 2.5, output: 10, cache_read: 1.25, cache_write: 0 },
+  'openai/gpt-4o-mini': { input: 0.15, output: 0.6, cache_read: 0.075, cache_write: 0 },
+  'openai/o3': { input: 2, output: 8, cache_read: 0.5, cache_write: 0 },
+  // Runs on your own hardware
+  'local/*': { input: 0, output: 0, cache_read: 0, cache_write: 0 },
+};
+
+/** Built-in prices merged with the `model_prices` config override. */
+export function getPriceTable(config) {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(config.get('model_prices') || '{}') || {};
+  } catch { /* invalid JSON — keep the defaults */ }
+
+  const table = { ...DEFAULT_PRICES };
+  for (const [model, price] of Object.entries(overrides)) {
+    table[model] = { ...table[model], ...price };
+  }
+  return table;
+}
+
+/** Price entry for a model, or null if it isn't in the table. */
+export function findPrice(table, model) {
+  if (!model) return null;
+  return table[model] || table[`${model.split('/')[0]}/*`] || null;
+}
+
+/**
+ * Cost in USD of a normalized usage object (see agent-events.js), or null
+ * when the model has no known price — unknown is not the same as free.
+ */
+export function computeCost(table, model, usage) {
+  const price = findPrice(table, model);
+  if (!price || !usage) return null;
+
+  const cost = (
+    usage.input_tokens * (price.input || 0) +
+    usage.output_tokens * (price.output || 0) +
+    usage.cache_read_tokens * (price.cache_read || 0) +
+    usage.cache_write_tokens * (price.cache_write || 0)
+  ) / 1_000_000;
+  return Math.round(cost * 1e6) / 1e6;
+}
@@ -0,0 +1,186 @@
+/**
+ * Secrets at rest
+ *
+ * API keys and tokens in the config table are stored encrypted
+ * (AES-256-GCM). The encryption key comes from one of:
+ *
+ *   passphrase — BOLTACLAW_PASSPHRASE, stretched with scrypt (salt kept in
+ *                the config table). Nothing on disk can decrypt the secrets.
+ *   key file   — 32 random bytes at <dataDir>/secret.key (or
+ *                BOLTACLAW_KEY_FILE), created on first use with mode 0600.
+ *                Keep it on a different volume/backup than the database.
+ *
+ * The mode is recorded in the config table (`secrets_mode`) so a missing
+ * passphrase fails loudly instead of silently minting a new key file.
+ *
+ * Stored format: enc:v1:<key id>:<iv>:<tag>:<ciphertext> (base64 parts).
+ */
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes, scryptSync } from 'crypto';
+import { chmodSync, existsSync, linkSync, readFileSync, renameSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+const PREFIX = 'enc:v1:';
+const SECRET_KEY_PATTERN = /(^|_)(key|token|secret|password)$/i;
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+/** Config keys whose values are secrets (API keys, tokens, passwords). */
+export function isSecretKey(key) {
+  return SECRET_KEY_PATTERN.test(key);
+}
+
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/** Redacted preview for display: first 8 and last 4 characters. */
+export function redact(value) {
+  if (!value) return value;
+  return value.length > 16 ? `${value.slice(0, 8)}...${value.slice(-4)}` : '********';
+}
+
+export class SecretStore {
+  constructor(dataDir, db) {
+    this.dataDir = dataDir;
+    this.db = db;
+    this.keyFile = process.env.BOLTACLAW_KEY_FILE || join(dataDir, 'secret.key');
+    this._cachedKey = null;
+  }
+
+  /** 'passphrase' or 'keyfile' — the recorded mode, else what the environment offers. */
+  mode() {
+    return this.db.getConfig('secrets_mode') || (process.env.BOLTACLAW_PASSPHRASE ? 'passphrase' : 'keyfile');
+  }
+
+  encrypt(plain) {
+    const key = this._key();
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    const ct = Buffer.concat([cipher.update(String(plain), 'utf-8'), cipher.final()]);
+    return PREFIX + [keyId(key), iv.toString('base64'), cipher.getAuthTag().toString('base64'), ct.toString('base64')].join(':');
+  }
+
+  decrypt(value, key = this._key()) {
+    const [id, iv, tag, ct] = value.slice(PREFIX.length).split(':');
+    if (id !== keyId(key)) {
+      throw new Error(`Secret was encrypted with a different key (${this.mode() === 'passphrase' ? 'wrong BOLTACLAW_PASSPHRASE?' : `wrong key file ${this.keyFile}?`})`);
+    }
+    const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ct, 'base64')), decipher.final()]).toString('utf-8');
+  }
+
+  /** Encrypt any secret rows still stored in plaintext. Returns how many were migrated. */
+  migrate() {
+    const rows = this._secretRows().filter(r => !isEncrypted(r.value));
+    if (rows.length === 0) return 0;
+
+    const update = this.db.db.prepare('UPDATE config SET value = ? WHERE key = ?');
+    this.db.db.transaction(() => {
+      for (const row of rows) update.run(this.encrypt(row.value), row.key);
+    })();
+    return rows.length;
+  }
+
+  /** Secret rows for display: [{ key, encrypted, preview }]. Never returns plaintext. */
+  list() {
+    return this._secretRows().map((row) => {
+      let preview;
+      try {
+        preview = redact(isEncrypted(row.value) ? this.decrypt(row.value) : row.value);
+      } catch (err) {
+        preview = `(cannot decrypt: ${err.message})`;
+      }
+      return { key: row.key, encrypted: isEncrypted(row.value), preview };
+    });
+  }
+
+  /**
+   * Re-encrypt every secret under a new key. `passphrase` switches to (or
+   * rotates) passphrase mode; without it a fresh key file is generated.
+   * Returns how many secrets were re-encrypted.
+   */
+  rotateKey({ passphrase = null } = {}) {
+    const oldKey = this._key();
+    const plain = this._secretRows().map(r => ({
+      key: r.key,
+      value: isEncrypted(r.value) ? this.decrypt(r.value, oldKey) : r.value,
+    }));
+
+    let newKey;
+    let pendingKeyFile = null;
+    let salt = null;
+    if (passphrase) {
+      salt = randomBytes(16).toString('base64');
+      newKey = scryptSync(passphrase, Buffer.from(salt, 'base64'), 32, SCRYPT_OPTIONS);
+    } else {
+      newKey = randomBytes(32);
+      pendingKeyFile = `${this.keyFile}.new`;
+      writeFileSync(pendingKeyFile, newKey.toString('base64'), { mode: 0o600 });
+    }
+
+    const update = this.db.db.prepare('UPDATE config SET value = ? WHERE key = ?');
+    this._cachedKey = newKey;
+    this.db.db.transaction(() => {
+      for (const row of plain) update.run(this.encrypt(row.value), row.key);
+      this.db.setConfig('secrets_mode', passphrase ? 'passphrase' : 'keyfile');
+      if (salt) this.db.setConfig('secrets_salt', salt);
+    })();
+
+    // Only replace the key file once the database no longer needs the old one
+    if (pendingKeyFile) renameSync(pendingKeyFile, this.keyFile);
+    return plain.length;
+  }
+
+  _secretRows() {
+    return this.db.db.prepare('SELECT key, value FROM config').all().filter(r => isSecretKey(r.key));
+  }
+
+  _key() {
+    if (this._cachedKey) return this._cachedKey;
+
+    if (this.mode() === 'passphrase') {
+      const passphrase = process.env.BOLTACLAW_PASSPHRASE;
+      if (!passphrase) {
+        const err = new Error('Secrets are passphrase-protected — set BOLTACLAW_PASSPHRASE to unlock them');
+        err.code = 'ESECRETSLOCKED';
+        throw err;
+      }
+      let salt = this.db.getConfig('secrets_salt');
+      if (!salt) {
+        salt = randomBytes(16).toString('base64');
+        this.db.setConfig('secrets_salt', salt);
+      }
+      this.db.setConfig('secrets_mode', 'passphrase');
+      this._cachedKey = scryptSync(passphrase, Buffer.from(salt, 'base64'), 32, SCRYPT_OPTIONS);
+      return this._cachedKey;
+    }
+
+    // The engine and a CLI command may both create it at once; whoever loses
+    // must use the winner's key, not overwrite it. Linking a fully written
+    // file into place is an exclusive create that never exposes a partial key.
+    if (!existsSync(this.keyFile)) {
+      const tmp = `${this.keyFile}.tmp-${process.pid}`;
+      writeFileSync(tmp, randomBytes(32).toString('base64'), { flag: 'wx', mode: 0o600 });
+      try {
+        linkSync(tmp, this.keyFile);
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      } finally {
+        rmSync(tmp, { force: true });
+      }
+    }
+    try { chmodSync(this.keyFile, 0o600); } catch { /* not ours to change (e.g. read-only mount) */ }
+    this._cachedKey = Buffer.from(readFileSync(this.keyFile, 'utf-8').trim(), 'base64');
+    if (this._cachedKey.length !== 32) {
+      throw new Error(`Key file ${this.keyFile} is invalid (expected 32 base64-encoded bytes)`);
+    }
+    this.db.setConfig('secrets_mode', 'keyfile');
+    return this._cachedKey;
+  }
+}
+
+/** Short fingerprint of a key, stored with each value to detect a wrong key. */
+function keyId(key) {
+  return createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
@@ -0,0 +1,200 @@
+/**
+ * systemd service
+ *
+ * `boltaclaw service install` writes a unit that runs `boltaclaw start` in
+ * the background and restarts it when it dies:
+ *
+ *   user scope   — ~/.config/systemd/user/boltaclaw.service, runs as you
+ *                  (needs `loginctl enable-linger` to start at boot)
+ *   system scope — /etc/systemd/system/boltaclaw.service (root), runs as
+ *                  --run-as <user> (default: the user installing it)
+ *
+ * Environment comes from <dataDir>/boltaclaw.env (mode 0600), created on
+ * install and kept on reinstall — put BOLTACLAW_PASSPHRASE, proxy settings
+ * and API keys there. BOLTACLAW_DATA_DIR is pinned in the unit itself so
+ * the service and the CLI always agree on the data directory (for a system
+ * service it defaults to the run-as user's ~/.boltaclaw, not root's).
+ *
+ * The engine exits with EXIT_CONFIG (78) when it cannot run without a
+ * human — no token, or another engine holds the data dir lock — and the
+ * unit does not restart on that code.
+ */
+
+import { execFileSync } from 'child_process';
+import { chownSync, existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { homedir, userInfo } from 'os';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+export const SERVICE_NAME = 'boltaclaw';
+export const EXIT_CONFIG = 78; // sysexits.h EX_CONFIG
+
+const CLI_PATH = resolve(dirname(fileURLToPath(import.meta.url)), 'cli.js');
+
+/** Passed through from the environment into a new boltaclaw.env. */
+const PASSTHROUGH_ENV = ['HTTPS_PROXY', 'HTTP_PROXY', 'NO_PROXY', 'BOLTACLAW_KEY_FILE'];
+
+export class ServiceManager {
+  /**
+   * @param {object} opts
+   * @param {boolean} [opts.system] - System unit instead of a user unit
+   * @param {string} [opts.user]    - Account a system unit runs as
+   * @param {string} [opts.dataDir] - Engine data dir (default: BOLTACLAW_DATA_DIR or the user's ~/.boltaclaw)
+   */
+  constructor({ system = false, user, dataDir } = {}) {
+    this.system = system;
+    this.user = user || process.env.SUDO_USER || userInfo().username;
+    this.account = system ? lookupUser(this.user) : { home: homedir() };
+    this.dataDir = resolve(dataDir || process.env.BOLTACLAW_DATA_DIR || join(this.account.home, '.boltaclaw'));
+    this.unitPath = system
+      ? `/etc/systemd/system/${SERVICE_NAME}.service`
+      : join(homedir(), '.config', 'systemd', 'user', `${SERVICE_NAME}.service`);
+    this.envPath = join(this.dataDir, 'boltaclaw.env');
+  }
+
+  /** systemd unit text. `startArgs` are extra `boltaclaw start` flags. */
+  unit({ startArgs = [] } = {}) {
+    const execStart = [process.execPath, CLI_PATH, 'start', ...startArgs].map(quote).join(' ');
+    const lines = [
+      '# Generated by `boltaclaw service install` — rerun it instead of editing',
+      '[Unit]',
+      'Description=Bolta OpenClaw Engine',
+      'Documentation=https://github.com/boltaai/boltaclaw-self-hosted',
+      'Wants=network-online.target',
+      'After=network-online.target',
+      'StartLimitIntervalSec=600',
+      'StartLimitBurst=10',
+      '',
+      '[Service]',
+      'Type=simple',
+    ];
+    if (this.system) lines.push(`User=${this.user}`);
+    lines.push(
+      `WorkingDirectory=${this.dataDir}`,
+      `Environment=${quote(`BOLTACLAW_DATA_DIR=${this.dataDir}`)}`,
+      `EnvironmentFile=-${this.envPath}`,
+      `ExecStart=${execStart}`,
+      'Restart=always',
+      'RestartSec=5',
+      `RestartPreventExitStatus=${EXIT_CONFIG}`,
+      // SIGTERM to the engine only; it stops the gateway itself
+      'KillMode=mixed',
+      'TimeoutStopSec=30',
+      '',
+      '[Install]',
+      `WantedBy=${this.system ? 'multi-user.target' : 'default.target'}`,
+      ''
+    );
+    return lines.join('\n');
+  }
+
+  /** Default boltaclaw.env: HOME and PATH as seen now, plus proxy settings. */
+  envFile() {
+    const lines = [
+      '# Environment for the boltaclaw service (read by systemd, keep it 0600)',
+      `# Restart after editing: systemctl ${this.system ? '' : '--user '}restart ${SERVICE_NAME}`,
+      `HOME=${this.account.home}`,
+      `PATH=${[...new Set([dirname(process.execPath), '/usr/local/bin', '/usr/bin', '/bin'])].join(':')}`,
+    ];
+    for (const name of PASSTHROUGH_ENV) {
+      if (process.env[name]) lines.push(`${name}=${process.env[name]}`);
+    }
+    lines.push(
+      '# Passphrase-protected secrets (see `boltaclaw secrets rotate-key --passphrase`):',
+      '# BOLTACLAW_PASSPHRASE=',
+      ''
+    );
+    return lines.join('\n');
+  }
+
+  /** Write the unit (and env file if missing), reload systemd, enable and start. */
+  install({ startArgs } = {}) {
+    if (this.system && process.getuid?.() !== 0) {
+      throw new Error('Installing a system service needs root — rerun with sudo, or drop --system for a user service');
+    }
+
+    if (!existsSync(this.dataDir)) {
+      mkdirSync(this.dataDir, { recursive: true });
+      // Created by root for another account — hand it over or the engine cannot write it
+      if (this.system) chownSync(this.dataDir, this.account.uid, this.account.gid);
+    }
+    const envCreated = !existsSync(this.envPath);
+    if (envCreated) writeFileSync(this.envPath, this.envFile(), { mode: 0o600 });
+
+    mkdirSync(dirname(this.unitPath), { recursive: true });
+    writeFileSync(this.unitPath, this.unit({ startArgs }));
+
+    this._systemctl('daemon-reload');
+    this._systemctl('enable', SERVICE_NAME);
+    this._systemctl('restart', SERVICE_NAME);
+    return { unitPath: this.unitPath, envPath: this.envPath, envCreated };
+  }
+
+  /** Stop, disable and remove the unit. The env file and data dir are left alone. */
+  uninstall() {
+    if (!existsSync(this.unitPath)) return false;
+    try {
+      this._systemctl('disable', '--now', SERVICE_NAME);
+    } catch { /* already stopped or never enabled */ }
+    rmSync(this.unitPath, { force: true });
+    this._systemctl('daemon-reload');
+    return true;
+  }
+
+  /** { installed, unitPath, active, sub, pid, restarts, enabled, since } */
+  status() {
+    const installed = existsSync(this.unitPath);
+    if (!installed) return { installed, unitPath: this.unitPath };
+
+    const props = {};
+    const out = this._systemctl(
+      'show', SERVICE_NAME,
+      '--property=ActiveState,SubState,MainPID,NRestarts,UnitFileState,ActiveEnterTimestamp'
+    );
+    for (const line of out.split('\n')) {
+      const i = line.indexOf('=');
+      if (i > 0) props[line.slice(0, i)] = line.slice(i + 1);
+    }
+    return {
+      installed,
+      unitPath: this.unitPath,
+      active: props.ActiveState,
+      sub: props.SubState,
+      pid: parseInt(props.MainPID, 10) || null,
+      restarts: parseInt(props.NRestarts, 10) || 0,
+      enabled: props.UnitFileState,
+      since: props.ActiveEnterTimestamp || null,
+    };
+  }
+
+  /** journalctl command that shows this service's output. */
+  logsCommand() {
+    return `journalctl ${this.system ? '' : '--user '}-u ${SERVICE_NAME} -f`;
+  }
+
+  _systemctl(...args) {
+    if (!this.system) args.unshift('--user');
+    try {
+      return execFileSync('systemctl', args, { encoding: 'utf-8', timeout: 30000, stdio: ['ignore', 'pipe', 'pipe'] });
+    } catch (err) {
+      if (err.code === 'ENOENT') throw new Error('systemctl not found — `boltaclaw service` needs systemd (use --dry-run to print the unit)');
+      const stderr = err.stderr?.toString().trim();
+      throw new Error(`systemctl ${args.join(' ')} failed${stderr ? `: ${stderr}` : ''}`);
+    }
+  }
+}
+
+/** { home, uid, gid } for a local account, from /etc/passwd. */
+function lookupUser(name) {
+  const entry = readFileSync('/etc/passwd', 'utf-8')
+    .split('\n')
+    .map(line => line.split(':'))
+    .find(fields => fields[0] === name);
+  if (!entry) throw new Error(`Unknown user ${name} (--run-as)`);
+  return { uid: parseInt(entry[2], 10), gid: parseInt(entry[3], 10), home: entry[5] };
+}
+
+/** Quote a unit file word if it contains whitespace or quotes. */
+function quote(word) {
+  return /[\s"'\\]/.test(word) ? `"${word.replace(/(["\\])/g, '\\$1')}"` : word;
+}
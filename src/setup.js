@@ -4,8 +4,9 @@
  * Guides the user through:
  * 1. Workspace token (from Bolta dashboard)
  * 2. Claude API key (BYOK, stored locally)
- * 3. Optional: Telegram bot token
- * 4. Test connection to Bolta Cloud
+ * 3. Optional: local OpenAI-compatible model server (Ollama, vLLM, llama.cpp)
+ * 4. Optional: Telegram bot token
+ * 5. Test connection to Bolta Cloud
  */
 
 import chalk from 'chalk';
@@ -13,6 +14,7 @@ import ora from 'ora';
 import { createInterface } from 'readline';
 import { Config } from './config.js';
 import { OpenClawManager } from './openclaw.js';
+import { checkLocalModel } from './models.js';
 
 function ask(rl, question, opts = {}) {
   return new Promise((resolve) => {
@@ -68,12 +70,42 @@ export async function setup(opts = {}) {
     config.set('ANTHROPIC_API_KEY', apiKey);
     console.log(chalk.green('  ✓ API key saved locally\n'));
   } else {
-    console.log(chalk.yellow('  ⚠ Skipped — agents won\'t work without an API key.'));
+    console.log(chalk.yellow('  ⚠ Skipped — agents need an API key or a local model (next step).'));
     console.log(chalk.gray('    Run: boltaclaw config set ANTHROPIC_API_KEY sk-ant-...\n'));
   }
 
-  // Step 3: Telegram (optional)
-  console.log(chalk.white.bold('  Step 3: Telegram Bot (optional)'));
+  // Step 3: Local model server (optional)
+  console.log(chalk.white.bold('  Step 3: Local Model (optional)'));
+  console.log(chalk.gray('  Run agents on a model on this host — Ollama, vLLM or llama.cpp server.'));
+  console.log(chalk.gray('  Any OpenAI-compatible endpoint works, e.g. http://127.0.0.1:11434/v1 for Ollama.\n'));
+
+  const localUrl = await ask(rl, chalk.cyan('  Local endpoint URL (or press Enter to skip): '));
+  if (localUrl) {
+    config.set('local_model_url', localUrl);
+    const check = await checkLocalModel(config);
+    if (check.ok) {
+      console.log(chalk.green(`  ✓ Reachable — serving: ${check.models.join(', ') || '(no models listed)'}`));
+    } else {
+      console.log(chalk.yellow(`  ⚠ Could not reach ${localUrl} (${check.error}) — saving anyway.`));
+    }
+
+    const suggested = check.models[0] || '';
+    const models = await ask(rl, chalk.cyan(`  Model(s) to use, comma-separated${suggested ? ` [${suggested}]` : ''}: `));
+    config.set('local_models', models || suggested);
+
+    const localOnly = await ask(rl, chalk.cyan('  Keep all content on this host (never use hosted models)? (y/n): '));
+    if (localOnly.toLowerCase() === 'y') {
+      config.set('local_only', 'true');
+      console.log(chalk.green('  ✓ Local only — every agent runs on local/' + (models || suggested).split(',')[0].trim() + '\n'));
+    } else {
+      console.log(chalk.gray('  Assign it per agent: boltaclaw config set agent_models \'{"guardian":"local/<model>"}\'\n'));
+    }
+  } else {
+    console.log(chalk.gray('  Skipped — you can add one later with: boltaclaw config set local_model_url <url>\n'));
+  }
+
+  // Step 4: Telegram (optional)
+  console.log(chalk.white.bold('  Step 4: Telegram Bot (optional)'));
   console.log(chalk.gray('  Connect a Telegram bot to chat with your agents from your phone.'));
   console.log(chalk.gray('  Create a bot via @BotFather on Telegram.\n'));
 
@@ -93,8 +125,8 @@ export async function setup(opts = {}) {
     console.log(chalk.gray('  Skipped — you can add Telegram later.\n'));
   }
 
-  // Step 4: Check OpenClaw installation
-  console.log(chalk.white.bold('  Step 4: Checking OpenClaw...\n'));
+  // Step 5: Check OpenClaw installation
+  console.log(chalk.white.bold('  Step 5: Checking OpenClaw...\n'));
   const ocManager = new OpenClawManager(config, { verbose: false });
   const status = await ocManager.check();
 
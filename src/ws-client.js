@@ -1,23 +1,55 @@
 import WebSocket from 'ws';
 import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
 
-const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000]; // Backoff
+const RECONNECT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_RECONNECT_DELAY_MS = 30_000;
+const PING_INTERVAL_MS = 20_000; // Protocol-level ping to catch half-open sockets
+const MAX_MISSED_PONGS = 2; // One late pong → degraded, two → terminate
+const OUTBOX_RETRY_MS = 30_000; // First resend of an unacknowledged message; doubles per attempt
+const OUTBOX_MAX_RETRY_MS = 30 * 60_000;
+const OUTBOX_MAX_ATTEMPTS = 50; // Then the message is dropped (logged)
+const OUTBOX_MAX_AGE_MS = 7 * 24 * 3600_000;
+
+/**
+ * Connection states, emitted as `connection_state` (state, previous):
+ *   connecting — opening a socket (initial or reconnect)
+ *   online     — socket open and answering pings
+ *   degraded   — socket open but a pong is overdue
+ *   offline    — socket closed, waiting to reconnect (or shut down)
+ */
 
 export class WSClient extends EventEmitter {
   constructor(url, opts = {}) {
     super();
     this.url = url;
     this.headers = opts.headers || {};
+    this.wsOptions = opts.wsOptions || {}; // e.g. proxy agent / extra CAs
     this.verbose = opts.verbose || false;
     this.ws = null;
     this.connected = false;
     this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.maxReconnectDelay = opts.maxReconnectDelay || DEFAULT_MAX_RECONNECT_DELAY_MS;
     this.shouldReconnect = true;
+    this.state = 'offline';
+    this.pingTimer = null;
+    this.pingInterval = opts.pingInterval || PING_INTERVAL_MS;
+    this.missedPongs = 0;
+
+    // Durable outbox (LocalDB) — reliable messages are persisted until the
+    // server acks them and replayed once the session is ready again
+    this.outbox = opts.outbox || null;
+    this.ready = false;
+    this.outboxTimer = null;
   }
 
   connect() {
+    this._setState('connecting');
+
     return new Promise((resolve, reject) => {
       this.ws = new WebSocket(this.url, {
+        ...this.wsOptions,
         headers: this.headers,
         handshakeTimeout: 10000,
         perMessageDeflate: false,
@@ -26,14 +58,23 @@ export class WSClient extends EventEmitter {
       this.ws.on('open', () => {
         this.connected = true;
         this.reconnectAttempt = 0;
+        this._setState('online');
+        this._startPing();
         if (this.verbose) console.log('  WS connected');
         resolve();
       });
 
+      this.ws.on('pong', () => {
+        this.missedPongs = 0;
+        if (this.state === 'degraded') this._setState('online');
+      });
+
       this.ws.on('message', (raw) => {
         try {
           const msg = JSON.parse(raw.toString());
-          if (msg.type) {
+          if (msg.type === 'ack') {
+            this._onAck(msg.data || {});
+          } else if (msg.type) {
             this.emit(msg.type, msg.data || {});
           }
         } catch (err) {
@@ -43,7 +84,12 @@ export class WSClient extends EventEmitter {
 
       this.ws.on('close', (code, reason) => {
         this.connected = false;
+        this.ready = false;
+        this._stopPing();
+        this._setState('offline');
         console.log(`  ⚠ WS closed: code=${code} reason=${reason?.toString() || 'none'}`);
+        // Listeners may call close() here to stop the reconnect (e.g. auth rejected)
+        this.emit('disconnected', code, reason?.toString() || '');
         if (this.shouldReconnect) this._reconnect();
       });
 
@@ -63,24 +109,145 @@ export class WSClient extends EventEmitter {
     }
   }
 
+  /**
+   * Send with at-least-once delivery. The message is written to the outbox
+   * first and removed only when the server replies `{ type: 'ack', data: { id } }`.
+   * Until the session is ready (see markReady) it just waits in the outbox.
+   */
+  sendReliable(type, data, { dedupeKey = null } = {}) {
+    if (!this.outbox) {
+      this.send(type, data);
+      return null;
+    }
+
+    const id = randomUUID();
+    this.outbox.enqueueOutbox(id, type, data, dedupeKey);
+    if (this.ready) this._transmit({ id, type, payload: data });
+    return id;
+  }
+
+  /**
+   * Mark the session as authenticated and replay everything still unacked —
+   * whatever was sent on the previous socket may never have arrived.
+   * Called by the bridge once the handshake completes.
+   */
+  markReady() {
+    this.ready = true;
+    this.flushOutbox({ all: true });
+
+    if (this.outbox && !this.outboxTimer) {
+      this.outboxTimer = setInterval(() => this.flushOutbox(), OUTBOX_RETRY_MS);
+      this.outboxTimer.unref?.();
+    }
+  }
+
+  /**
+   * Send outbox messages that are due: never sent, or unacked for longer
+   * than their backoff (OUTBOX_RETRY_MS, doubling per attempt up to
+   * OUTBOX_MAX_RETRY_MS). `all` resends everything, for a fresh session.
+   * Messages past OUTBOX_MAX_ATTEMPTS or OUTBOX_MAX_AGE_MS are dropped.
+   */
+  flushOutbox({ all = false } = {}) {
+    if (!this.outbox || !this.ready) return 0;
+    this._expireOutbox();
+    const pending = all
+      ? this.outbox.getOutbox()
+      : this.outbox.getDueOutbox(OUTBOX_RETRY_MS, OUTBOX_MAX_RETRY_MS);
+    for (const msg of pending) {
+      if (!this._transmit(msg)) break;
+    }
+    if (pending.length && this.verbose) {
+      console.log(`  WS outbox: replayed ${pending.length} unacknowledged message(s)`);
+    }
+    return pending.length;
+  }
+
+  _expireOutbox() {
+    const dropped = this.outbox.expireOutbox(OUTBOX_MAX_ATTEMPTS, OUTBOX_MAX_AGE_MS);
+    for (const msg of dropped) {
+      console.error(`  ⚠ WS outbox: dropped ${msg.type} ${msg.id} — never acknowledged (${msg.attempts} attempts since ${msg.created_at})`);
+    }
+    if (dropped.length) this.emit('outbox_dropped', dropped);
+  }
+
+  _transmit({ id, type, payload }) {
+    if (this.ws?.readyState !== WebSocket.OPEN) return false;
+    this.ws.send(JSON.stringify({ type, id, data: payload }));
+    this.outbox.markOutboxSent(id);
+    return true;
+  }
+
+  _onAck({ id }) {
+    if (id && this.outbox?.ackOutbox(id)) {
+      this.emit('acked', id);
+    }
+  }
+
   async close() {
     this.shouldReconnect = false;
+    this.ready = false;
+    if (this.outboxTimer) clearInterval(this.outboxTimer);
+    if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+    this._stopPing();
     if (this.ws) {
       this.ws.close(1000, 'shutdown');
     }
   }
 
+  _setState(state) {
+    if (state === this.state) return;
+    const previous = this.state;
+    this.state = state;
+    this.emit('connection_state', state, previous);
+  }
+
+  /**
+   * Ping every pingInterval ms. A socket that stops answering (laptop sleep,
+   * NAT timeout) is terminated, which fires `close` and starts a reconnect.
+   */
+  _startPing() {
+    this._stopPing();
+    this.missedPongs = 0;
+    this.pingTimer = setInterval(() => {
+      if (this.ws?.readyState !== WebSocket.OPEN) return;
+
+      if (this.missedPongs >= MAX_MISSED_PONGS) {
+        console.log(`  ⚠ WS unresponsive (${this.missedPongs} missed pongs) — dropping connection`);
+        this.ws.terminate();
+        return;
+      }
+      if (this.missedPongs > 0) this._setState('degraded');
+
+      this.missedPongs++;
+      try {
+        this.ws.ping();
+      } catch { /* socket closing — close handler takes over */ }
+    }, this.pingInterval);
+  }
+
+  _stopPing() {
+    if (this.pingTimer) clearInterval(this.pingTimer);
+    this.pingTimer = null;
+  }
+
+  /** Full-jitter exponential backoff: random(0, min(max, base * 2^attempt)). */
+  _reconnectDelay() {
+    const ceiling = Math.min(this.maxReconnectDelay, RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempt);
+    return Math.floor(Math.random() * ceiling);
+  }
+
   _reconnect() {
-    const delay = RECONNECT_DELAYS[
-      Math.min(this.reconnectAttempt, RECONNECT_DELAYS.length - 1)
-    ];
+    if (this.reconnectTimer) return;
+
+    const delay = this._reconnectDelay();
     this.reconnectAttempt++;
 
     if (this.verbose) {
       console.log(`  WS reconnecting in ${delay}ms (attempt ${this.reconnectAttempt})...`);
     }
 
-    setTimeout(async () => {
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
       try {
         await this.connect();
         this.emit('reconnected');